@@ -1,63 +1,68 @@
 require('dotenv/config');
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { Client, Environment } = require('square');
+const { newSquareClient } = require('./lib/square_client');
+const sellers = require('./lib/seller_registry');
+const tokens = require('./lib/token_manager');
+const webhooks = require('./lib/webhooks');
+const promos = require('./lib/promo_codes');
+const discounts = require('./lib/discounts');
+const payments = require('./lib/payments');
+const refunds = require('./lib/refunds');
+const fees = require('./lib/fee_policy');
+const paymentLinks = require('./lib/payment_links');
+const checkoutOpts = require('./lib/checkout_options');
+const customers = require('./lib/customers');
+const inventory = require('./lib/inventory');
+const carts = require('./lib/carts');
+const cartMerge = require('./lib/cart_merge');
+const catalog = require('./lib/catalog');
+const { catalogObjectRoutes } = require('./lib/catalog_object_routes');
+const catalogCache = require('./lib/catalog_cache');
+const catalogBulk = require('./lib/catalog_bulk');
+const storefront = require('./lib/storefront');
+const promoRoutes = require('./lib/promo_routes');
+const { isAdmin, requireAdmin } = require('./lib/admin_auth');
+const customerAuth = require('./lib/customer_auth');
+const { sqErr, httpError } = require('./lib/errors');
+const { redact } = require('./lib/redact');
 
 const app = express();
-app.use(express.json());
+// Square webhooks need the raw body for the signature check: mount before express.json()
+app.post('/webhooks/square', webhooks.squareWebhookRoute());
+// Bulk catalog import parses its own body (CSV or JSON, up to 5 MB) after the admin check
+const parseJson = express.json();
+app.use((req, res, next) => (/\/catalog\/import$/.test(req.path) ? next() : parseJson(req, res, next)));
 
 // ─────────────────────────────────────────────────────────────
 // Square SDK client
 // ─────────────────────────────────────────────────────────────
-const client = new Client({
-  environment: process.env.SQUARE_ENV === 'production' ? Environment.Production : Environment.Sandbox,
-  accessToken: process.env.SQUARE_ACCESS_TOKEN,
-});
+const client = newSquareClient(process.env.SQUARE_ACCESS_TOKEN);
 
 const { catalogApi, ordersApi, paymentsApi, checkoutApi } = client;
 const LOCATION_ID = process.env.SQUARE_LOCATION_ID;
 
-// ─────────────────────────────────────────────────────────────
-// In-memory promo codes (for demo). Persist in DB in real apps.
-// code -> { type: 'PERCENT'|'FIXED', value: number, name?: string }
-// PERCENT: value=10 means 10% ; FIXED: value in currency's minor units
-// ─────────────────────────────────────────────────────────────
-const promoCodes = new Map();
- promoCodes.set("WELCOME10", {
-    "code": "WELCOME10",
-    "type": "PERCENT",
-    "value": 10,
-    "name": "Welcome 10%"
-});
-
-// Build a *seller-scoped* client per request using the seller's OAuth token.
-// IMPORTANT: To collect app_fee_money, you MUST charge on behalf of the seller.
-function buildSellerClient(sellerAccessToken) {
-  if (!sellerAccessToken) throw new Error('sellerAccessToken missing (connected seller OAuth token required)');
-  return new Client({
-    environment: process.env.SQUARE_ENV === 'production' ? Environment.Production : Environment.Sandbox,
-    accessToken: sellerAccessToken
-  });
+// Seller-scoped client for this request. IMPORTANT: To collect app_fee_money,
+// you MUST charge on behalf of the seller.
+// x-seller-id: <merchantId> of a seller connected through OAuth; the token
+// comes from the encrypted credential store and is refreshed automatically.
+// The request must carry that seller's API key (x-seller-key) or the admin key.
+function sellerClientFor(req) {
+  const sellerId = req.headers['x-seller-id'];
+  if (!sellerId) throw httpError(400, 'x-seller-id header required (connected seller merchant id)');
+  if (!isAdmin(req) && !sellers.verifyApiKey(sellerId, req.get('x-seller-key'))) {
+    throw httpError(401, 'x-seller-key (the seller\'s API key) or the admin key required with x-seller-id');
+  }
+  return tokens.clientFor(sellerId);
 }
 
-// Convenience: pull token from header or body
-function getSellerToken(req) {
-  // Prefer header so you can keep bodies clean
-  return req.headers['x-seller-token'] || req.body?.sellerAccessToken;
+// Helper: the seller's client with x-seller-id, else the platform account
+function accountClientFor(req) {
+  return req.headers['x-seller-id'] ? sellerClientFor(req) : client;
 }
 
-// Reuse: how much is your platform fee?
-function appFeeCents() {
-  return Number(process.env.PLATFORM_APP_FEE_CENTS || 200);
-}
 
 
-// Helper: unify Square API error structure
-function sqErr(e) {
-  const details = e?.result?.errors || e?.errors || e?.response?.body?.errors || e?.message;
-  return { error: true, details };
-}
-
 // Helper: fetch current order with latest version
 async function getOrder(orderId) {
   try {
@@ -69,17 +74,31 @@ async function getOrder(orderId) {
 }
 
 // Helper: make UpdateOrder with latest version (optimistic concurrency)
+// Payment links made from the cart are deleted first (they would charge a stale amount;
+// 502 LINK_INVALIDATION_FAILED and no change when one can't be) and the cart's inventory
+// holds are renewed. 409 CART_LOCKED once checkout started.
 async function updateOrderWith(orderId, patchOrder, fieldsToClear = []) {
+  carts.assertMutable(orderId);
+  await paymentLinks.invalidateForCart(linkClient, orderId);
   const current = await getOrder(orderId);
+  let order;
   try {
     const res = await ordersApi.updateOrder(orderId, {
       order: { ...patchOrder, version: current.version, locationId: current.locationId || LOCATION_ID },
       fieldsToClear
     });
-    return res.result.order;
+    order = res.result.order;
   } catch (e) {
     throw sqErr(e);
   }
+  inventory.syncHolds(order);
+  carts.touch(orderId);
+  return order;
+}
+
+// Helper: client that owns a payment link (seller links live on the seller's account)
+function linkClient(link) {
+  return link.sellerId ? tokens.clientFor(link.sellerId) : client;
 }
 app.set('json replacer', (key, value) =>
   typeof value === 'bigint' ? value.toString() : value
@@ -91,19 +110,28 @@ app.set('json replacer', (key, value) =>
 //   "name":"T-Shirt",
 //   "description":"Soft cotton",
 //   "categoryId":"OPTIONAL_CATEGORY_ID",
+//   "modifierListIds":["OPTIONAL_MODIFIER_LIST_ID"],
+//   "taxIds":["OPTIONAL_TAX_ID"],
 //   "variations":[
-//     {"name":"Small","price":1999,"currency":"USD","sku":"TS-S"},
+//     {"name":"Small","price":1999,"currency":"USD","sku":"TS-S","stock":25},
 //     {"name":"Large","price":2199,"currency":"USD","sku":"TS-L"}
-//   ]
+//   ],
+//   "locationId":"OPTIONAL (where stock is counted, default SQUARE_LOCATION_ID)"
 // }
+// A variation with "stock" gets trackInventory and that initial IN_STOCK count.
 // ─────────────────────────────────────────────────────────────
 app.post('/api/catalog/items', async (req, res) => {
   try {
-    const { name, description, categoryId, variations = [] } = req.body;
+    const { name, description, categoryId, variations = [], locationId } = req.body;
 
     if (!name || !variations.length) {
       return res.status(400).json({ error: 'name and at least one variation are required' });
     }
+    const invalidLinks = catalog.validateItemLinks(req.body);
+    if (invalidLinks) return res.status(400).json({ error: invalidLinks });
+    if (variations.some(v => v.stock != null && !(Number.isInteger(v.stock) && v.stock >= 0))) {
+      return res.status(400).json({ error: 'variations[].stock must be a non-negative integer' });
+    }
 
     const itemId = `#${uuidv4()}`; // temp client IDs (“#” required)
     const objects = [
@@ -114,6 +142,7 @@ app.post('/api/catalog/items', async (req, res) => {
           name,
           description,
           categoryId,
+          ...catalog.itemLinkData(req.body)
         }
       },
       ...variations.map(v => ({
@@ -124,7 +153,8 @@ app.post('/api/catalog/items', async (req, res) => {
           name: v.name,
           pricingType: 'FIXED_PRICING',
           priceMoney: v.price != null ? { amount: BigInt(v.price), currency: v.currency || 'USD' } : undefined,
-          sku: v.sku
+          sku: v.sku,
+          trackInventory: v.stock != null ? true : undefined
         }
       }))
     ];
@@ -134,123 +164,587 @@ app.post('/api/catalog/items', async (req, res) => {
       batches: [{ objects }]
     });
 
-    res.json(resp.result);
+    // Initial stock, once the variations have real ids
+    const idFor = new Map((resp.result.idMappings || []).map(m => [m.clientObjectId, m.objectId]));
+    const counts = objects.slice(1)
+      .map((o, i) => ({ variationId: idFor.get(o.id), quantity: variations[i].stock }))
+      .filter(c => c.quantity != null);
+    const inventoryCounts = counts.length
+      ? await inventory.setCounts(client, counts, locationId || LOCATION_ID)
+      : undefined;
+
+    res.json({ ...resp.result, inventoryCounts });
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 1b) Inventory (admin key; x-seller-id = manage the seller's stock)
+// GET  /api/inventory/:variationId?locationId=            counts in every state
+// GET  /api/inventory/:variationId/changes?locationId=&types=ADJUSTMENT,TRANSFER&cursor=
+// POST /api/inventory/counts       { "counts": [{ "variationId", "quantity", "locationId"? }] }
+// POST /api/inventory/adjustments  { "adjustments": [{ "variationId", "quantity", "kind": "RECEIVE"|"DAMAGE"|"SALE"|"RETURN", "locationId"? }] }
+// POST /api/inventory/transfers    { "variationId", "quantity", "fromLocationId", "toLocationId" }
+// locationId defaults to SQUARE_LOCATION_ID (the seller's main location with x-seller-id).
+// ─────────────────────────────────────────────────────────────
+function inventoryLocationFor(req, locationId) {
+  if (locationId) return locationId;
+  const sellerId = req.headers['x-seller-id'];
+  return sellerId ? sellers.getSeller(sellerId)?.locationId : LOCATION_ID;
+}
+
+app.get('/api/inventory/:variationId', requireAdmin, async (req, res) => {
+  try {
+    const locationId = inventoryLocationFor(req, req.query.locationId);
+    const counts = await inventory.countsFor(accountClientFor(req), [req.params.variationId], locationId ? [locationId] : undefined);
+    res.json({ variationId: req.params.variationId, counts });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/api/inventory/:variationId/changes', requireAdmin, async (req, res) => {
+  try {
+    const { locationId, types, updatedAfter, cursor } = req.query;
+    res.json(await inventory.changeHistory(accountClientFor(req), req.params.variationId, {
+      locationIds: locationId ? [locationId] : undefined,
+      types: types ? String(types).split(',') : undefined,
+      updatedAfter,
+      cursor
+    }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/inventory/counts', requireAdmin, async (req, res) => {
+  try {
+    const counts = await inventory.setCounts(accountClientFor(req), req.body?.counts, inventoryLocationFor(req));
+    res.json({ counts });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/inventory/adjustments', requireAdmin, async (req, res) => {
+  try {
+    const counts = await inventory.adjustStock(accountClientFor(req), req.body?.adjustments, inventoryLocationFor(req));
+    res.json({ counts });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/inventory/transfers', requireAdmin, async (req, res) => {
+  try {
+    const counts = await inventory.transferStock(accountClientFor(req), req.body || {});
+    res.json({ counts });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
 // 2) Get product list
-// Query params: cursor, limit (optional)
-// Uses SearchCatalogItems (items + variations, ready for shopping UIs)
+// Query params (all optional): q (name/description/SKU), categoryId (comma-separated),
+// minPrice, maxPrice (minor units), sku, locationId, stock=in|out,
+// sort=name|price|updated (prefix - for descending), cursor, limit
+// Returns compact products (see lib/storefront.js), with stock at locationId or SQUARE_LOCATION_ID.
+// Served from the local catalog mirror (lib/catalog_cache.js), not Square, so storefront
+// traffic doesn't hit rate limits. x-seller-id = the seller's catalog.
+// Admin: POST /api/catalog/sync re-syncs the mirror in full, GET /api/catalog/sync shows its state.
 // ─────────────────────────────────────────────────────────────
+function catalogAccountFor(req) {
+  return req.headers['x-seller-id'] || 'platform';
+}
+
 app.get('/api/catalog/items', async (req, res) => {
   try {
-    const { cursor, limit } = req.query;
-    const resp = await catalogApi.searchCatalogItems({
-      cursor,
-      limit: limit ? Number(limit) : undefined
+    res.json(await storefront.listProducts(accountClientFor(req), catalogAccountFor(req), req.query, {
+      defaultLocationId: inventoryLocationFor(req)
+    }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/catalog/sync', requireAdmin, async (req, res) => {
+  try {
+    await catalogCache.sync(accountClientFor(req), catalogAccountFor(req), { full: true });
+    res.json(catalogCache.status(catalogAccountFor(req)));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/api/catalog/sync', requireAdmin, (req, res) => {
+  res.json(catalogCache.status(catalogAccountFor(req)));
+});
+
+// ─────────────────────────────────────────────────────────────
+// 2b) Catalog discounts & pricing rules
+// GET  lists DISCOUNT and PRICING_RULE objects (cursor)
+// POST body: see lib/discounts.js (SALE or BUY_X_GET_Y over categories/items/variations)
+// Carts apply them automatically via pricingOptions.autoApplyDiscounts.
+// ─────────────────────────────────────────────────────────────
+app.get('/api/catalog/discounts', async (req, res) => {
+  try {
+    const resp = await catalogApi.listCatalog(req.query.cursor, 'DISCOUNT,PRICING_RULE');
+    res.json(resp.result);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/catalog/pricing-rules', requireAdmin, async (req, res) => {
+  try {
+    const invalid = discounts.validatePricingRuleInput(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const resp = await catalogApi.batchUpsertCatalogObjects({
+      idempotencyKey: uuidv4(),
+      batches: [{ objects: discounts.buildPricingRuleObjects(req.body) }]
     });
     res.json(resp.result);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 2c) Manage products (see lib/catalog.js; x-seller-id = the seller's catalog)
+// GET    /api/catalog/items/:itemId                  item + variations + related objects
+// Admin (x-admin-key: ADMIN_API_KEY):
+// PATCH  /api/catalog/items/:itemId                  { version, name?, description?, categoryId?, variations? }
+// DELETE /api/catalog/items/:itemId                  item and its variations
+// PATCH  /api/catalog/variations/:variationId        { version, name?, price?, currency?, sku? }
+// DELETE /api/catalog/variations/:variationId
+// POST   /api/catalog/items/:itemId/images           multipart: image, caption?, isPrimary?
+// Categories, modifier lists and taxes (GET public, changes admin):
+// GET|POST /api/catalog/categories   GET|PATCH|DELETE /api/catalog/categories/:id
+// ... and the same under /api/catalog/modifier-lists and /api/catalog/taxes
+// 409 VERSION_CONFLICT when the object changed since the version you read.
+// ─────────────────────────────────────────────────────────────
+app.use('/api/catalog/categories', catalogObjectRoutes('CATEGORY', accountClientFor));
+app.use('/api/catalog/modifier-lists', catalogObjectRoutes('MODIFIER_LIST', accountClientFor));
+app.use('/api/catalog/taxes', catalogObjectRoutes('TAX', accountClientFor));
+
+app.get('/api/catalog/items/:itemId', async (req, res) => {
+  try {
+    res.json(await catalog.getItem(accountClientFor(req), req.params.itemId));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.patch('/api/catalog/items/:itemId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.updateItem(accountClientFor(req), req.params.itemId, req.body || {}));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.delete('/api/catalog/items/:itemId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.deleteObject(accountClientFor(req), req.params.itemId, 'ITEM'));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.patch('/api/catalog/variations/:variationId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.updateVariation(accountClientFor(req), req.params.variationId, req.body || {}));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.delete('/api/catalog/variations/:variationId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.deleteObject(accountClientFor(req), req.params.variationId, 'ITEM_VARIATION'));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/catalog/items/:itemId/images', requireAdmin, catalog.imageUpload, async (req, res) => {
+  try {
+    const { caption, isPrimary } = req.body || {};
+    res.json(await catalog.uploadItemImage(accountClientFor(req), req.params.itemId, req.file, { caption, isPrimary }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
-// 3) Promo codes (custom)
-// 3a) Create promo code (admin)
-// Body: { "code":"WELCOME10", "type":"PERCENT"|"FIXED", "value":10, "name":"Welcome 10%" }
-// For FIXED, value is amount in minor units (e.g., 500 = $5.00)
+// 2d) Bulk import/export (admin key; x-seller-id = the seller's catalog; see lib/catalog_bulk.js)
+// POST /api/catalog/import?dryRun=true   Content-Type: text/csv with a header line,
+//                                        or JSON { "rows": [{ itemName, variationName, sku, price, ... }] } (both up to 5 MB)
+// GET  /api/catalog/export?format=csv|json
+// Import returns per-row results; rows are upserted by variationId, else SKU.
 // ─────────────────────────────────────────────────────────────
-app.post('/api/promo-codes', (req, res) => {
-  const { code, type, value, name } = req.body || {};
-  if (!code || !['PERCENT', 'FIXED'].includes(type) || typeof value !== 'number') {
-    return res.status(400).json({ error: 'code, type(PERCENT|FIXED), value required' });
+app.post('/api/catalog/import', requireAdmin, express.text({ type: 'text/csv', limit: '5mb' }), express.json({ limit: '5mb' }), async (req, res) => {
+  try {
+    const sq = accountClientFor(req);
+    const dryRun = req.query.dryRun === 'true';
+    const result = await catalogBulk.importRows(sq, catalogBulk.rowsFromBody(req.body), { dryRun });
+    if (!dryRun) {
+      catalogCache.refresh(sq, catalogAccountFor(req))?.catch(e => console.error('catalog refresh after import failed', e?.message || e));
+    }
+    res.json(result);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
   }
-  promoCodes.set(code.toUpperCase(), { type, value, name: name || code.toUpperCase() });
-  res.json({ ok: true, code: code.toUpperCase() });
 });
 
-// 3b) Validate promo code
-app.get('/api/promo-codes/:code', (req, res) => {
-  const data = promoCodes.get(req.params.code.toUpperCase());
-  if (!data) return res.status(404).json({ error: 'Not found' });
-  res.json({ code: req.params.code.toUpperCase(), ...data });
+app.get('/api/catalog/export', requireAdmin, async (req, res) => {
+  try {
+    const rows = await catalogBulk.exportRows(accountClientFor(req));
+    if (req.query.format === 'json') return res.json({ rows });
+    res.type('text/csv').attachment('catalog.csv').send(catalogBulk.toCsv(rows));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
 });
 
+// ─────────────────────────────────────────────────────────────
+// 3) Promo codes (custom, persisted; see lib/promo_codes.js)
+// GET    /api/promo-codes/:code              validate (public)
+// Admin (x-admin-key: ADMIN_API_KEY):
+// GET    /api/promo-codes                    list (active, type, q, limit, cursor)
+// POST   /api/promo-codes                    create/replace
+// PATCH  /api/promo-codes/:code              update
+// POST   /api/promo-codes/:code/disable      soft-disable (and /enable)
+// DELETE /api/promo-codes/:code              delete
+// GET    /api/promo-codes/:code/redemptions  count, total discount, orders
+// ─────────────────────────────────────────────────────────────
+app.use('/api/promo-codes', promoRoutes);
+
 // ─────────────────────────────────────────────────────────────
 // 4) Create cart (draft order)
-// Body: { "locationId": "optional override" }
+// Body: { "locationId": "optional override", "autoApplyDiscounts": true, "customerId"?: "...",
+//         "sessionId"?: "guest session id" }
 // Returns order (id to use for cart ops)
+// autoApplyDiscounts (default on, AUTO_APPLY_DISCOUNTS=false to change)
+// lets Square apply catalog pricing rules, e.g. buy-2-get-1 or category sales.
+// With sessionId/customerId the cart becomes that owner's current cart (see 4d); if the owner
+// already has one that can still be changed, at the same location, that one is returned.
+// customerId needs that customer's x-customer-token or the admin key (see 4b).
 // ─────────────────────────────────────────────────────────────
 app.post('/api/cart', async (req, res) => {
   try {
     const locationId = req.body?.locationId || LOCATION_ID;
+    const customerId = customerAuth.customerFor(req, req.body?.customerId) || undefined;
+    const owner = { sessionId: req.body?.sessionId, customerId };
+    const current = carts.currentCart(owner);
+    if (current && ['active', 'abandoned'].includes(current.state) && current.locationId === locationId) {
+      return res.json(await getOrder(current.orderId));
+    }
+
     const resp = await ordersApi.createOrder({
       idempotencyKey: uuidv4(),
-      order: { locationId, state: 'OPEN' }
+      order: {
+        locationId,
+        state: 'OPEN',
+        customerId,
+        pricingOptions: discounts.defaultPricingOptions({ autoApplyDiscounts: req.body?.autoApplyDiscounts })
+      }
     });
+    carts.trackCart(resp.result.order);
+    carts.claimCart(resp.result.order.id, owner);
     res.json(resp.result.order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 4b) Customers (Square Customers API, same account as the carts)
+// POST /api/customers                        create by emailAddress/phoneNumber → { customerId, created,
+//                                            customerToken?, expiresAt? }; 409 CUSTOMER_EXISTS if one matches
+//                                            (with the admin key: find-or-create, no token)
+// POST /api/cart/:orderId/customer           Body: { "customerId" } (x-customer-token or admin key) or
+//                                            customer fields (created as above)
+// DELETE /api/cart/:orderId/customer         make the cart anonymous again
+// Both need the token of the customer already on the cart, if any (403 CART_NOT_OWNED).
+// Admin key: GET /api/customers?email=&phone=&q=&limit=&cursor=, GET|PUT /api/customers/:customerId,
+//            GET /api/customers/:customerId/orders?state=COMPLETED&locationId=&limit=&cursor=,
+//            POST /api/customers/:customerId/token → { customerToken, expiresAt } (see lib/customer_auth.js)
+// The cart's customer drives per-customer promo limits and payment link prefill, so only the
+// customer (or an admin) can attach an existing one.
+// ─────────────────────────────────────────────────────────────
+app.post('/api/customers', async (req, res) => {
+  try {
+    const invalid = customers.validateCustomerInput(req.body || {}, { create: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const admin = isAdmin(req);
+    const { customer, created } = await customers.upsertCustomer(client, req.body, { createOnly: !admin });
+    res.json({ customerId: customer.id, created, ...(!admin && customerAuth.issueToken(customer.id)) });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/customers/:customerId/token', requireAdmin, async (req, res) => {
+  try {
+    await customers.getCustomer(client, req.params.customerId); // 404 for an unknown customer
+    const token = customerAuth.issueToken(req.params.customerId);
+    if (!token) return res.status(503).json({ error: 'Customer tokens disabled: set CUSTOMER_TOKEN_SECRET' });
+    res.json(token);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/api/customers', requireAdmin, async (req, res) => {
+  try {
+    const { email, phone, q, limit, cursor } = req.query;
+    res.json(await customers.searchCustomers(client, { email, phone, q, limit, cursor }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/api/customers/:customerId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await customers.getCustomer(client, req.params.customerId));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.put('/api/customers/:customerId', requireAdmin, async (req, res) => {
+  try {
+    const invalid = customers.validateCustomerInput(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    res.json(await customers.updateCustomer(client, req.params.customerId, req.body));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/api/customers/:customerId/orders', requireAdmin, async (req, res) => {
+  try {
+    const { state, locationId, limit, cursor } = req.query;
+    res.json(await customers.orderHistory(client, req.params.customerId, {
+      locationIds: [locationId || LOCATION_ID],
+      states: state ? String(state).split(',') : undefined,
+      limit,
+      cursor
+    }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/cart/:orderId/customer', async (req, res) => {
+  try {
+    const { customerId, ...fields } = req.body || {};
+    // a customer's cart keeps its customer unless that customer (or an admin) changes it
+    customerAuth.assertCustomer(req, (await getOrder(req.params.orderId)).customerId);
+    let id = customerId && customerAuth.customerFor(req, customerId);
+    if (id) {
+      await customers.getCustomer(client, id); // 404 for an unknown customer
+    } else {
+      const invalid = customers.validateCustomerInput(fields, { create: true });
+      if (invalid) return res.status(400).json({ error: invalid });
+      id = (await customers.upsertCustomer(client, fields, { createOnly: !isAdmin(req) })).customer.id;
+    }
+    const order = await updateOrderWith(req.params.orderId, { customerId: id });
+    carts.claimCart(order.id, { customerId: id });
+    res.json(order);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.delete('/api/cart/:orderId/customer', async (req, res) => {
+  try {
+    customerAuth.assertCustomer(req, (await getOrder(req.params.orderId)).customerId);
+    const order = await updateOrderWith(req.params.orderId, {}, ['customer_id']);
+    carts.releaseCustomer(order.id);
+    res.json(order);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 4c) Cart state (see lib/carts.js)
+// active → checkout_pending (payment link / authorized payment) → paid; idle carts become
+// abandoned; canceled closes the Square order. Line items, discounts and the customer can't
+// change once checkout started (409 CART_LOCKED).
+// GET  /api/cart/:orderId/state     { state, lastActivityAt, history, ... }
+// POST /api/cart/:orderId/reopen    back from checkout_pending to active (its payment links are deleted)
+// POST /api/cart/:orderId/cancel    Square order → CANCELED
+// ─────────────────────────────────────────────────────────────
+app.get('/api/cart/:orderId/state', (req, res) => {
+  const cart = carts.getCart(req.params.orderId);
+  if (!cart) return res.status(404).json({ error: 'Cart not tracked' });
+  res.json(cart);
+});
+
+app.post('/api/cart/:orderId/reopen', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!carts.getCart(orderId)) return res.status(404).json({ error: 'Cart not tracked' });
+    if (carts.getCart(orderId).state === 'checkout_pending' && carts.getCart(orderId).paymentKey) {
+      return res.status(409).json({ error: 'A card payment holds this cart; cancel that payment instead', reason: 'CHECKOUT_IN_PROGRESS' });
+    }
+    await paymentLinks.invalidateForCart(linkClient, orderId, { reason: 'CART_REOPENED' });
+    res.json(carts.reopen(orderId, 'REOPENED'));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/cart/:orderId/cancel', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    // links first: a link's own order stays payable after the cart is canceled
+    await paymentLinks.invalidateForCart(linkClient, orderId, { reason: 'CART_CANCELED' });
+    const order = await carts.cancelCart(client, orderId);
+    inventory.releaseHolds(orderId);
+    res.json({ order, cart: carts.getCart(orderId) });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 4d) Cart owners and merge (see lib/cart_merge.js)
+// GET  /api/cart/current?sessionId=   the customer's current cart, else the session's
+//      → { cart, order }
+// POST /api/cart/:orderId/merge   Body: { "sourceOrderId" }  adds that cart to this one and cancels it
+// POST /api/cart/handoff          Body: { "sessionId" }  on login: the guest cart goes to the
+//      customer (merged into the customer's current cart if there is one)
+// The customer is the x-customer-token's (see 4b); with the admin key a customerId may be named
+// (?customerId= / body). Carts that belong to a customer need that customer's token or the
+// admin key (403 CART_NOT_OWNED).
+// Merges return { order, canceledOrderId, skippedDiscounts: [{ uid, name, reason }] }.
+// ─────────────────────────────────────────────────────────────
+function mergeOps(req) {
+  return {
+    getOrder,
+    updateOrder: (orderId, patch) => updateOrderWith(orderId, patch),
+    invalidateLinks: (orderId) => paymentLinks.invalidateForCart(linkClient, orderId, { reason: 'CART_MERGED' }),
+    assertOwner: (order) => customerAuth.assertCustomer(req, order.customerId)
+  };
+}
+
+// Helper: after a merge the source cart's inventory holds go away
+function closeMergedCart(result) {
+  if (!result.canceledOrderId) return;
+  inventory.releaseHolds(result.canceledOrderId);
+}
+
+app.get('/api/cart/current', async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const customerId = customerAuth.customerFor(req, req.query.customerId);
+    if (!sessionId && !customerId) return res.status(400).json({ error: 'sessionId or a customer token required' });
+    const cart = carts.currentCart({ sessionId, customerId });
+    if (!cart) return res.status(404).json({ error: 'No current cart' });
+    const order = await getOrder(cart.orderId);
+    customerAuth.assertCustomer(req, order.customerId);
+    res.json({ cart, order });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/cart/handoff', async (req, res) => {
+  try {
+    const { sessionId } = req.body || {};
+    const customerId = customerAuth.customerFor(req, req.body?.customerId);
+    if (!customerId) return res.status(401).json({ error: 'x-customer-token required' });
+    await customers.getCustomer(client, customerId); // 404 for an unknown customer
+    const result = await cartMerge.handoff(client, { sessionId, customerId }, mergeOps(req));
+    closeMergedCart(result);
+    res.json(result);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/cart/:orderId/merge', async (req, res) => {
+  try {
+    const result = await cartMerge.mergeCarts(client, req.params.orderId, req.body?.sourceOrderId, mergeOps(req));
+    closeMergedCart(result);
+    res.json(result);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
 // 5) Add line item to cart
-// Body: { "variationId":"ITEM_VARIATION_OBJECT_ID", "quantity":2 }
-// This uses catalog_object_id path so base price comes from Catalog.
+// Body: { "variationId":"ITEM_VARIATION_OBJECT_ID", "quantity":2, "modifierIds"?: ["MODIFIER_ID"],
+//         "onShortage"?: "reject"|"cap" }
+// This uses catalog_object_id path so base price, modifier prices and item taxes come from Catalog.
+// Stock is checked at the cart's location (lib/inventory.js): 409 INSUFFICIENT_STOCK,
+// or with "cap" the quantity is reduced and the order comes back with stockAdjustments.
 // ─────────────────────────────────────────────────────────────
 app.post('/api/cart/:orderId/line-items', async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { variationId, quantity } = req.body || {};
+    const { variationId, quantity, modifierIds, onShortage } = req.body || {};
     if (!variationId || !quantity) {
       return res.status(400).json({ error: 'variationId and quantity required' });
     }
+    const modifiers = catalog.lineItemModifiers(modifierIds);
+
+    const current = await getOrder(orderId);
+    const stock = await inventory.checkLineQuantity(client, current, { variationId, quantity, onShortage });
 
     const order = await updateOrderWith(orderId, {
       lineItems: [
         {
           uid: uuidv4(),
-          quantity: String(quantity),
-          catalogObjectId: variationId
+          quantity: String(stock.quantity),
+          catalogObjectId: variationId,
+          modifiers
         }
       ]
     });
 
-    res.json(order);
+    res.json(stock.adjustment ? { ...order, stockAdjustments: [stock.adjustment] } : order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
 // 6) Update quantity of an existing line item
-// Body: { "quantity": 3 }
+// Body: { "quantity": 3, "onShortage"?: "reject"|"cap" }
 // Route param requires the line item UID (not the catalog id).
 // ─────────────────────────────────────────────────────────────
 app.put('/api/cart/:orderId/line-items/:lineItemUid', async (req, res) => {
   try {
     const { orderId, lineItemUid } = req.params;
-    const { quantity } = req.body || {};
+    const { quantity, onShortage } = req.body || {};
     if (!quantity) return res.status(400).json({ error: 'quantity required' });
 
     const current = await getOrder(orderId);
     const target = (current.lineItems || []).find(li => li.uid === lineItemUid);
     if (!target) return res.status(404).json({ error: 'line item uid not found' });
 
+    const stock = target.catalogObjectId
+      ? await inventory.checkLineQuantity(client, current, { variationId: target.catalogObjectId, quantity, lineItemUid, onShortage })
+      : { quantity: Number(quantity), adjustment: null };
+
     // Replace that one LI with updated quantity
     const newItems = (current.lineItems || []).map(li =>
-      li.uid === lineItemUid ? { uid: li.uid, quantity: String(quantity), catalogObjectId: li.catalogObjectId } : li
+      li.uid === lineItemUid ? { uid: li.uid, quantity: String(stock.quantity), catalogObjectId: li.catalogObjectId } : li
     );
 
     const order = await updateOrderWith(orderId, { lineItems: newItems });
-    res.json(order);
+    res.json(stock.adjustment ? { ...order, stockAdjustments: [stock.adjustment] } : order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
@@ -265,89 +759,104 @@ app.delete('/api/cart/:orderId/line-items/:lineItemUid', async (req, res) => {
     const order = await updateOrderWith(orderId, {}, [`line_items[${lineItemUid}]`]);
     res.json(order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
 // 8) Apply discount
 // A) By promo code: { "promoCode": "WELCOME10" }
+//    A code can be applied once per cart (409); non-stackable codes stand alone (422).
+//    Per-customer limits use the cart's customer (POST /api/cart/:orderId/customer).
 // B) Direct: { "name":"Black Friday", "type":"PERCENT"|"FIXED", "value":10, "currency":"USD" }
-// Adds an ORDER-level discount. For line-level, attach to lineItems[].discounts.
+// C) Catalog DISCOUNT object: { "catalogDiscountId":"..." }
+// B and C add an ORDER-level discount, or a LINE_ITEM one when given
+// "lineItemUids":[...] and/or "variationIds":[...] (catalog variation ids in the cart).
+// Catalog pricing rules are applied by Square itself (pricingOptions.autoApplyDiscounts).
 // ─────────────────────────────────────────────────────────────
 app.post('/api/cart/:orderId/discounts', async (req, res) => {
   try {
     const { orderId } = req.params;
-    let { promoCode, name, type, value, currency } = req.body || {};
+    const { promoCode } = req.body || {};
 
     const order = await getOrder(orderId);
-    const curr = currency || order?.totalMoney?.currency || 'USD';
 
     let discountObj = null;
+    let lineItems = [];
 
     if (promoCode) {
-      const pc = promoCodes.get(promoCode.toUpperCase());
-      if (!pc) return res.status(404).json({ error: 'Invalid promo code' });
-
-      if (pc.type === 'PERCENT') {
-        discountObj = {
-          uid: uuidv4(),
-          name: pc.name || promoCode.toUpperCase(),
-          percentage: String(pc.value),
-          scope: 'ORDER'
-        };
-      } else {
-        discountObj = {
-          uid: uuidv4(),
-          name: pc.name || promoCode.toUpperCase(),
-          amountMoney: { amount: Number(pc.value), currency: curr },
-          scope: 'ORDER'
-        };
-      }
+      // Enforces dates, caps, minimum spend and targeting (422 { reason } when not usable)
+      ({ discount: discountObj, lineItems } = await promos.buildPromoDiscount(client, order, promoCode, {
+        customerId: order.customerId
+      }));
     } else {
-      if (!name || !['PERCENT', 'FIXED'].includes(type) || typeof value !== 'number') {
-        return res.status(400).json({ error: 'promoCode or (name,type,value) required' });
-      }
-      discountObj = (type === 'PERCENT')
-        ? { uid: uuidv4(), name, percentage: String(value), scope: 'ORDER' }
-        : { uid: uuidv4(), name, amountMoney: { amount: Number(value), currency: curr }, scope: 'ORDER' };
+      // Ad hoc or catalog DISCOUNT, order-level or on lineItemUids/variationIds
+      ({ discount: discountObj, lineItems } = discounts.buildManualDiscount(order, req.body));
     }
 
     // append to any existing discounts
     const updated = await updateOrderWith(orderId, {
-      discounts: [ ...(order.discounts || []), discountObj ]
+      discounts: [ ...(order.discounts || []), discountObj ],
+      ...(lineItems.length ? { lineItems } : {})
     });
 
+    // Counted as a redemption only once the order is paid (payment webhook)
+    if (promoCode) {
+      promos.recordApplication({ code: promoCode, orderId, discountUid: discountObj.uid, customerId: order.customerId });
+    }
+
     res.json(updated);
   } catch (e) {
-    console.error('apply discount error', e);
-    const details = e?.result?.errors || e?.details || e?.message;
-    res.status(500).json({ error: true, details });
+    console.error('apply discount error', redact(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 
+// Remove one discount (and its line-item applications), leaving the others,
+// e.g. an auto-applied sale, in place.
+app.delete('/api/cart/:orderId/discounts/:discountUid', async (req, res) => {
+  try {
+    const { orderId, discountUid } = req.params;
+    const order = await getOrder(orderId);
+    if (!(order.discounts || []).some(d => d.uid === discountUid)) {
+      return res.status(404).json({ error: 'discount uid not found' });
+    }
+
+    const updated = await updateOrderWith(orderId, {}, discounts.discountClearPaths(order, discountUid));
+    promos.releaseApplication(orderId, discountUid);
+    res.json(updated);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
 app.delete('/api/cart/:orderId/discounts', async (req, res) => {
   try {
     const { orderId } = req.params;
+    const order = await getOrder(orderId);
     const updated = await updateOrderWith(orderId, {}, ['discounts']); // clear entire discounts array
+    for (const d of order.discounts || []) promos.releaseApplication(orderId, d.uid);
     res.json(updated);
   } catch (e) {
-    res.status(500).json({ error: true, details: e?.result?.errors || e?.message });
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
 // 9) Calculate totals (tax/discount rules)
 // Returns calculated order; does not persist calculation.
+// Carts created before pricing options existed get the default ones here.
 // ─────────────────────────────────────────────────────────────
 app.post('/api/orders/:orderId/calculate', async (req, res) => {
   try {
     const order = await getOrder(req.params.orderId);
-    const resp = await ordersApi.calculateOrder({ order });
+    const resp = await ordersApi.calculateOrder({
+      order: { ...order, pricingOptions: order.pricingOptions || discounts.defaultPricingOptions() }
+    });
     res.json(resp.result.order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
@@ -359,142 +868,308 @@ app.get('/api/orders/:orderId', async (req, res) => {
     const order = await getOrder(req.params.orderId);
     res.json(order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
 // 11) Create payment (on-site checkout flow)
-// Body: { "orderId":"...", "sourceId":"TOKEN_FROM_WEB_PAYMENTS_SDK" }
-// Best practice: amount from Square order; use idempotencyKey.
-// ─────────────────────────────────────────────────────────────
-// app.post('/api/checkout/payment', async (req, res) => {
-//   try {
-//     const { orderId, sourceId, autocomplete = true, note } = req.body || {};
-//     if (!orderId || !sourceId) return res.status(400).json({ error: 'orderId and sourceId required' });
-
-//     const order = await getOrder(orderId);
-//     if (!order?.totalMoney?.amount) {
-//       return res.status(400).json({ error: 'Order has no total to charge' });
-//     }
-
-//     const resp = await paymentsApi.createPayment({
-//       idempotencyKey: uuidv4(),
-//       sourceId,                      // token from Web Payments SDK (frontend)
-//       amountMoney: order.totalMoney, // charge exact cart total
-//       orderId,
-//       locationId: order.locationId || LOCATION_ID,
-//       autocomplete,
-//       note
-//     });
-
-//     res.json(resp.result.payment);
-//   } catch (e) {
-//     res.status(500).json(sqErr(e));
-//   }
-// });
+// Body: { "orderId":"...", "sourceId":"TOKEN_FROM_WEB_PAYMENTS_SDK",
+//         "autocomplete"?: true, "expectedAmount"?: 2199, "verificationToken"?, "buyerEmailAddress"?, "note"? }
+// Header: Idempotency-Key (or body.idempotencyKey). Send the same key when
+// retrying so a timeout can't charge the buyer twice.
+// Amount is the order's total from Square. With x-seller-id the payment is
+// taken on the connected seller's account and the platform fee (lib/fee_policy.js)
+// goes to the platform. Response: { payment, fee } (fee = breakdown, null without a seller).
+// "autocomplete": false only authorizes; capture or void it with
+//   POST /api/checkout/payment/:paymentId/complete   Body: { "versionToken"? }
+//   POST /api/checkout/payment/:paymentId/cancel
+// The cart is locked (checkout_pending) before the card is charged: 409 CHECKOUT_IN_PROGRESS
+// while it has a payment link or another payment; a declined card unlocks it again.
+// ─────────────────────────────────────────────────────────────
+app.post('/api/checkout/payment', async (req, res) => {
+  try {
+    const { orderId, sourceId, autocomplete, expectedAmount, verificationToken, buyerEmailAddress, note } = req.body || {};
+    if (!orderId || !sourceId) return res.status(400).json({ error: 'orderId and sourceId required' });
+
+    const sellerId = req.headers['x-seller-id'];
+    const sq = accountClientFor(req);
+    const idempotencyKey = payments.idempotencyKeyFrom(req);
+    // a retry of a payment that already locked (or paid) the cart
+    const retry = carts.getCart(orderId)?.paymentKey === idempotencyKey;
+    const paid = carts.lockForPayment(orderId, idempotencyKey)?.state === 'paid';
+
+    let fee = null;
+    let payment;
+    try {
+      payment = await payments.chargeOrder(sq, {
+        orderId,
+        sourceId,
+        idempotencyKey,
+        autocomplete,
+        expectedAmount,
+        verificationToken,
+        buyerEmailAddress,
+        note,
+        paid,
+        appFee: sellerId ? (order) => (fee = fees.computeFee(order.totalMoney, { sellerId })).amountMoney : undefined
+      });
+    } catch (e) {
+      // declined or rejected (4xx) on a first attempt: nothing was charged. Otherwise the outcome
+      // is unknown (or a retry's earlier attempt may have gone through) and the cart stays locked.
+      if (!retry && e?.status >= 400 && e?.status < 500) carts.reopen(orderId, 'PAYMENT_FAILED');
+      throw e;
+    }
+    if (payment.status === 'COMPLETED') carts.markPaid(orderId, 'CARD_PAYMENT');
+    else if (payment.status === 'APPROVED' && carts.getCart(orderId)?.state === 'canceled') {
+      // the cart was canceled while the card was being charged: void the authorization
+      await payments.cancelPayment(sq, payment.id);
+      return res.status(409).json({ error: 'Cart was canceled; the authorization was voided', reason: 'CART_CANCELED' });
+    }
+
+    res.json({ payment, fee: fee?.breakdown || null });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/checkout/payment/:paymentId/complete', async (req, res) => {
+  try {
+    const payment = await payments.completePayment(accountClientFor(req), req.params.paymentId, req.body?.versionToken);
+    if (payment?.orderId) carts.markPaid(payment.orderId, 'CARD_PAYMENT');
+    res.json(payment);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.post('/api/checkout/payment/:paymentId/cancel', async (req, res) => {
+  try {
+    const payment = await payments.cancelPayment(accountClientFor(req), req.params.paymentId);
+    if (payment?.orderId) carts.reopen(payment.orderId, 'PAYMENT_CANCELED');
+    res.json(payment);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
 
 // ─────────────────────────────────────────────────────────────
 // 12) Hosted payment link (Checkout API)
-// Body: { "orderId":"..." }
-// Note: Payment Links cannot attach an existing order by ID,
-// so we reconstruct an equivalent order body and let Square
-// create it for the link.
-// ─────────────────────────────────────────────────────────────
-// app.post('/api/checkout/links', async (req, res) => {
-//   try {
-//     const { orderId } = req.body || {};
-//     if (!orderId) return res.status(400).json({ error: 'orderId required' });
-
-//     const order = await getOrder(orderId);
-//     const lineItems = (order.lineItems || []).map(li => {
-//       // For quick_pay we need name and base price; if not present, fall back.
-//       const name = li.name || 'Item';
-//       const quantity = li.quantity || '1';
-//       // If base price not available (e.g., from catalog pricing), use totalMoney/quantity as approximation
-//       const price = li.basePriceMoney?.amount
-//         ?? (li.totalMoney?.amount && BigInt(li.totalMoney.amount) / BigInt(quantity));
-//       if (!price) throw { error: true, details: 'Cannot infer line item price for payment link.' };
-//       return {
-//         name,
-//         quantity,
-//         basePriceMoney: { amount: BigInt(price), currency: (li.basePriceMoney?.currency || order.totalMoney?.currency || 'USD') }
-//       };
-//     });
-
-//     const resp = await checkoutApi.createPaymentLink({
-//       idempotencyKey: uuidv4(),
-//       checkoutOptions: {
-//         redirectUrl: 'https://example.com/thanks' // replace for your app
-//       },
-//       order: {
-//         locationId: order.locationId || LOCATION_ID,
-//         lineItems
-//       }
-//     });
-
-//     res.json({ url: resp.result.paymentLink?.url, paymentLink: resp.result.paymentLink });
-//   } catch (e) {
-//     res.status(500).json(sqErr(e));
-//   }
-// });
-
+// Body: { "orderId":"...", "redirectUrl"?, "checkoutOptions"?, "prePopulatedData"? }
+// Checkout options (tipping, shipping, custom fields, payment methods, support email,
+// redirect URL with {orderId}) default to GET/PUT /api/checkout/settings; see lib/checkout_options.js.
+// Note: Payment Links cannot attach an existing order by ID, so the cart is
+// cloned with its catalog items, modifiers, discounts and taxes (lib/payment_links.js).
+// 409 TOTAL_MISMATCH if the link would charge a different total than the cart.
+// ─────────────────────────────────────────────────────────────
 app.post('/api/checkout/links', async (req, res) => {
   try {
-    const { orderId } = req.body || {};
+    const { orderId, redirectUrl, checkoutOptions, prePopulatedData } = req.body || {};
     if (!orderId) return res.status(400).json({ error: 'orderId required' });
 
-    const sellerAccessToken = getSellerToken(req);               // <-- seller token
-    const sellerClient = buildSellerClient(sellerAccessToken);
-    const { ordersApi: sellerOrders, checkoutApi: sellerCheckout } = sellerClient;
-
-    const order = await (async () => {
-      const resp = await sellerOrders.retrieveOrder(orderId);    // fetch via seller
-      return resp.result.order;
-    })();
-
-    // Build minimal order body for Payment Link (quick pay)
-    const lineItems = (order.lineItems || []).map(li => {
-      const name = li.name || 'Item';
-      const quantity = li.quantity || '1';
-
-      const price = li.basePriceMoney?.amount
-        ?? (li.totalMoney?.amount && BigInt(li.totalMoney.amount) / BigInt(quantity || '1'));
-      if (!price) throw { error: true, details: 'Cannot infer line item price for payment link.' };
-
-      return {
-        name,
-        quantity,
-        basePriceMoney: {
-          amount: BigInt(price),
-          currency: li.basePriceMoney?.currency || order.totalMoney?.currency || 'USD'
-        }
-      };
+    carts.assertCheckoutAllowed(orderId);
+    const sellerId = req.headers['x-seller-id'];
+    const sq = sellerClientFor(req);                             // <-- seller client
+    const order = await sq.ordersApi.retrieveOrder(orderId).then(r => r.result.order);
+    const checkout = checkoutOpts.resolveCheckout(
+      {
+        checkoutOptions: { ...checkoutOptions, ...(redirectUrl && { redirectUrl }) },
+        // buyer details default to the cart's customer
+        prePopulatedData: prePopulatedData || (order.customerId ? await customers.prefillFor(sq, order.customerId) : undefined)
+      },
+      { orderId, sellerId, currency: order.totalMoney?.currency }
+    );
+
+    let fee;
+    const { paymentLink, cartTotal } = await paymentLinks.createLinkForCart(sq, orderId, {
+      sellerId,
+      ...checkout,
+      // <-- application fee to your platform (lib/fee_policy.js)
+      appFee: (total) => (fee = fees.computeFee(total, { sellerId })).amountMoney
     });
+    carts.startCheckout(orderId, 'PAYMENT_LINK');
 
-    const currency = order.totalMoney?.currency || 'USD';
+    res.json({
+      url: paymentLink.url,
+      paymentLink,
+      cartOrderId: orderId,
+      linkOrderId: paymentLink.orderId,
+      totalMoney: cartTotal,
+      fee: fee.breakdown
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
 
-    const resp = await sellerCheckout.createPaymentLink({
-      idempotencyKey: uuidv4(),
-      order: {
-        locationId: order.locationId || LOCATION_ID,
-        lineItems
-      },
-      checkoutOptions: {
-        redirectUrl: 'https://example.com/thanks',
-        // <-- $2.00 application fee to your platform
-        appFeeMoney: { amount: appFeeCents(), currency }
-      }
+// Payment link lifecycle (admin key; x-seller-id = the account the links live on)
+//   GET    /api/checkout/links?cursor=&limit=   page from Square + our cart mapping
+//   GET    /api/checkout/links/:linkId
+//   PUT    /api/checkout/links/:linkId          Body: { "checkoutOptions"?, "prePopulatedData"?, "description"?, "paymentNote"? }
+//          (checkoutOptions as for a new link, resolved against the link's cart and seller)
+//   DELETE /api/checkout/links/:linkId
+// Links are also deleted automatically before their cart changes, when a new link is made for
+// the cart (status INVALIDATED) and when another of the cart's links is paid.
+app.get('/api/checkout/links', requireAdmin, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    res.json(await paymentLinks.listLinks(sellerClientFor(req), { cursor, limit }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/api/checkout/links/:linkId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await paymentLinks.retrieveLink(sellerClientFor(req), req.params.linkId));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.put('/api/checkout/links/:linkId', requireAdmin, async (req, res) => {
+  try {
+    const { checkoutOptions, prePopulatedData, description, paymentNote } = req.body || {};
+    const patch = { checkoutOptions, prePopulatedData, description, paymentNote };
+    res.json(await paymentLinks.updateLink(sellerClientFor(req), req.params.linkId, patch));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.delete('/api/checkout/links/:linkId', requireAdmin, async (req, res) => {
+  try {
+    const link = await paymentLinks.deleteLink(sellerClientFor(req), req.params.linkId);
+    // the buyer left the hosted checkout: the cart can be changed again
+    if (link.cartOrderId && !paymentLinks.linksForCart(link.cartOrderId).some(l => l.status === 'ACTIVE')) {
+      carts.reopen(link.cartOrderId, 'PAYMENT_LINK_DELETED');
+    }
+    res.json(link);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// Checkout settings for payment links (admin key). With x-seller-id they apply to
+// that seller only, otherwise they are the platform default. PUT replaces them.
+app.get('/api/checkout/settings', requireAdmin, (req, res) => {
+  res.json(checkoutOpts.getSettings(req.headers['x-seller-id'] || null));
+});
+
+app.put('/api/checkout/settings', requireAdmin, (req, res) => {
+  try {
+    res.json(checkoutOpts.putSettings(req.headers['x-seller-id'] || null, req.body || {}));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 13) Refunds (admin key; see lib/refunds.js)
+// Body: { "reason":"Damaged", "operator":"jane@support",
+//         "amount"?: 500 | "lineItems"?: [{ "uid":"...", "quantity"?: "1" }] }
+// Neither amount nor lineItems = full refund of what is left.
+// Header: Idempotency-Key (reuse it on retries). With x-seller-id the refund runs on the
+// seller's account and the platform's app fee is reversed in proportion.
+// ─────────────────────────────────────────────────────────────
+app.post('/api/orders/:orderId/refunds', requireAdmin, async (req, res) => {
+  try {
+    const invalid = refunds.validateRefundInput(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { amount, lineItems, reason, operator } = req.body;
+    const records = await refunds.refundOrder(accountClientFor(req), req.params.orderId, {
+      amount,
+      lineItems,
+      reason,
+      operator,
+      idempotencyKey: payments.idempotencyKeyFrom(req)
     });
+    res.json({ orderId: req.params.orderId, refunds: records });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/api/orders/:orderId/refunds', requireAdmin, (req, res) => {
+  res.json({ orderId: req.params.orderId, refunds: refunds.listForOrder(req.params.orderId) });
+});
 
-    res.json({ url: resp.result.paymentLink?.url, paymentLink: resp.result.paymentLink });
+// Refund status straight from Square (also syncs the recorded status)
+app.get('/api/refunds/:refundId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await refunds.getRefund(accountClientFor(req), req.params.refundId));
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Webhook handlers (POST /webhooks/square is mounted at the top)
+// ─────────────────────────────────────────────────────────────
+webhooks.on('oauth.authorization.revoked', (event) => {
+  sellers.markDisconnected(event.merchant_id, 'OAUTH_REVOKED');
+});
+
+// Paid orders turn applied promo codes into redemptions. Payment link payments
+// carry the link's order id; the codes were applied to the cart it was cloned from.
+function cartPayment(payment) {
+  const cartOrderId = payment && paymentLinks.cartOrderIdFor(payment.order_id);
+  return cartOrderId ? { ...payment, order_id: cartOrderId } : payment;
+}
+webhooks.on('payment.created', (event) => promos.redeemForPayment(client, cartPayment(event.data?.object?.payment)));
+webhooks.on('payment.updated', (event) => promos.redeemForPayment(client, cartPayment(event.data?.object?.payment)));
+
+// Keep recorded refund statuses in sync
+webhooks.on('refund.*', (event) => refunds.recordStatus(event.data?.object?.refund));
+
+// Payment link bookkeeping: paid links, and carts changed outside this API
+webhooks.on('payment.created', (event) => paymentLinks.markPaid(event.data?.object?.payment, linkClient));
+webhooks.on('payment.updated', (event) => paymentLinks.markPaid(event.data?.object?.payment, linkClient));
+webhooks.on('order.updated', (event) => {
+  const updated = event.data?.object?.order_updated;
+  if (!updated?.order_id) return;
+  return paymentLinks.invalidateForCart(linkClient, updated.order_id, { cartVersion: updated.version });
+});
+
+// Inventory holds end when the cart is paid or closed (Square then decrements stock itself)
+webhooks.on('payment.updated', (event) => {
+  const payment = cartPayment(event.data?.object?.payment);
+  if (payment?.status === 'COMPLETED') inventory.releaseHolds(payment.order_id);
+});
+webhooks.on('order.updated', (event) => {
+  const updated = event.data?.object?.order_updated;
+  if (updated?.order_id && updated.state && updated.state !== 'OPEN') inventory.releaseHolds(updated.order_id);
+});
+
+// Cart state follows payments and the Square order
+webhooks.on('payment.updated', (event) => {
+  const payment = cartPayment(event.data?.object?.payment);
+  if (payment?.status === 'COMPLETED') carts.markPaid(payment.order_id);
+});
+webhooks.on('order.updated', (event) => {
+  const updated = event.data?.object?.order_updated;
+  if (updated?.state === 'COMPLETED') carts.markPaid(updated.order_id, 'ORDER_COMPLETED');
+  if (updated?.state === 'CANCELED') carts.markCanceled(updated.order_id);
+});
+
+// Catalog changed (here or in the Square dashboard): refresh that account's mirror
+webhooks.on('catalog.version.updated', (event) => {
+  const seller = sellers.getSeller(event.merchant_id);
+  return seller
+    ? catalogCache.refresh(tokens.clientFor(seller.merchantId), seller.merchantId)
+    : catalogCache.refresh(client, 'platform');
+});
+// Stock changed: the storefront reads those counts again
+webhooks.on('inventory.count.updated', (event) => {
+  const account = sellers.getSeller(event.merchant_id) ? event.merchant_id : 'platform';
+  catalogCache.dropStock(account, event.data?.object?.inventory_counts);
+});
 
 // ─────────────────────────────────────────────────────────────
 app.get('/', (_, res) => res.send('Square E-commerce API (Sandbox) is running'));
 const PORT = process.env.PORT || 8081;
 app.listen(PORT, () => console.log(`Listening on http://localhost:${PORT}`));
+
+// Idle carts → abandoned (cart.abandoned on carts.events, see lib/carts.js)
+carts.startSweeper();
@@ -2,133 +2,242 @@
 require('dotenv/config');
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { Client, Environment } = require('square');
+const { newSquareClient } = require('./lib/square_client');
+const oauth = require('./lib/oauth');
+const sellers = require('./lib/seller_registry');
+const tokens = require('./lib/token_manager');
+const webhooks = require('./lib/webhooks');
+const promos = require('./lib/promo_codes');
+const discounts = require('./lib/discounts');
+const payments = require('./lib/payments');
+const refunds = require('./lib/refunds');
+const fees = require('./lib/fee_policy');
+const paymentLinks = require('./lib/payment_links');
+const checkoutOpts = require('./lib/checkout_options');
+const customers = require('./lib/customers');
+const inventory = require('./lib/inventory');
+const carts = require('./lib/carts');
+const cartMerge = require('./lib/cart_merge');
+const catalog = require('./lib/catalog');
+const { catalogObjectRoutes } = require('./lib/catalog_object_routes');
+const catalogCache = require('./lib/catalog_cache');
+const catalogBulk = require('./lib/catalog_bulk');
+const storefront = require('./lib/storefront');
+const promoRoutes = require('./lib/promo_routes');
+const { isAdmin, requireAdmin } = require('./lib/admin_auth');
+const customerAuth = require('./lib/customer_auth');
+const { sqErr } = require('./lib/errors');
+const { maskToken } = require('./lib/redact');
 
 const app = express();
-app.use(express.json());
+// Square webhooks need the raw body for the signature check: mount before express.json()
+app.post('/webhooks/square', webhooks.squareWebhookRoute());
+// Bulk catalog import parses its own body (CSV or JSON, up to 5 MB) after the admin check
+const parseJson = express.json();
+app.use((req, res, next) => (/\/catalog\/import$/.test(req.path) ? next() : parseJson(req, res, next)));
 
 // ─────────────────────────────────────────────────────────────
 // Main (platform) Square client (for your own account)
 // ─────────────────────────────────────────────────────────────
-const mainClient = new Client({
-  environment: process.env.SQUARE_ENV === 'production' ? Environment.Production : Environment.Sandbox,
-  accessToken: process.env.SQUARE_ACCESS_TOKEN, // MAIN platform account token
-});
-const { ordersApi: mainOrdersApi } = mainClient;
+const mainClient = newSquareClient(process.env.SQUARE_ACCESS_TOKEN); // MAIN platform account token
 const MAIN_LOCATION_ID = process.env.SQUARE_LOCATION_ID;
-// ─────────────────────────────────────────────────────────────
-// In-memory connected seller credentials (set once, used by all routes)
-// ─────────────────────────────────────────────────────────────
-const CONNECTED = {
-  accessToken:  sellerAccessToken
-  locationId: sellerLocationId
-};
 
 // ─────────────────────────────────────────────────────────────
 // Helpers
 // ─────────────────────────────────────────────────────────────
-function buildSellerClient(accessToken) {
-  if (!accessToken) throw new Error('Connected seller access token not set. Call /api/set first.');
-  return new Client({
-    environment: process.env.SQUARE_ENV === 'production' ? Environment.Production : Environment.Sandbox,
-    accessToken
-  });
-}
-
-function appFeeCents() {
-  return Number(process.env.PLATFORM_APP_FEE_CENTS || 200); // default $2.00
-}
-
-function sqErr(e) {
-  const details = e?.result?.errors || e?.errors || e?.response?.body?.errors || e?.message;
-  return { error: true, details };
-}
-
 // BigInt -> string for JSON responses
 app.set('json replacer', (key, value) => (typeof value === 'bigint' ? value.toString() : value));
 
 // ─────────────────────────────────────────────────────────────
-// Demo promo codes (optional)
-// ─────────────────────────────────────────────────────────────
-const promoCodes = new Map();
-promoCodes.set('WELCOME10', { code: 'WELCOME10', type: 'PERCENT', value: 10, name: 'Welcome 10%' });
-
-// ─────────────────────────────────────────────────────────────
-// Seller-aware order helpers
+// Seller-aware order helpers (sq = the seller's token-managed client)
 // ─────────────────────────────────────────────────────────────
-async function getOrder(orderId) {
+async function getOrder(sq, orderId) {
   try {
-    if (!CONNECTED.accessToken) {
-      // fallback – only if you created order on main (not recommended)
-      const res = await mainOrdersApi.retrieveOrder(orderId);
-      return res.result.order;
-    }
-    const seller = buildSellerClient(CONNECTED.accessToken);
-    const { ordersApi } = seller;
-    const res = await ordersApi.retrieveOrder(orderId);
+    const res = await sq.ordersApi.retrieveOrder(orderId);
     return res.result.order;
   } catch (e) {
     throw sqErr(e);
   }
 }
 
-async function updateOrderWith(orderId, patchOrder, fieldsToClear = []) {
-  const current = await getOrder(orderId);
-  const locationId = current.locationId || CONNECTED.locationId || MAIN_LOCATION_ID;
+// Payment links made from the cart are deleted first (they would charge a stale amount;
+// 502 LINK_INVALIDATION_FAILED and no change when one can't be) and the cart's inventory
+// holds are renewed. 409 CART_LOCKED once checkout started.
+async function updateOrderWith(sq, orderId, patchOrder, fieldsToClear = []) {
+  carts.assertMutable(orderId);
+  await paymentLinks.invalidateForCart(() => sq, orderId);
+  const current = await getOrder(sq, orderId);
+  let order;
   try {
-    if (!CONNECTED.accessToken) {
-      const res = await mainOrdersApi.updateOrder(orderId, {
-        order: { ...patchOrder, version: current.version, locationId },
-        fieldsToClear
-      });
-      return res.result.order;
-    }
-    const seller = buildSellerClient(CONNECTED.accessToken);
-    const { ordersApi } = seller;
-    const res = await ordersApi.updateOrder(orderId, {
-      order: { ...patchOrder, version: current.version, locationId },
+    const res = await sq.ordersApi.updateOrder(orderId, {
+      order: { ...patchOrder, version: current.version, locationId: current.locationId },
       fieldsToClear
     });
-    return res.result.order;
+    order = res.result.order;
   } catch (e) {
     throw sqErr(e);
   }
+  inventory.syncHolds(order);
+  carts.touch(orderId);
+  return order;
+}
+
+function sellerView(seller) {
+  return {
+    merchantId: seller.merchantId,
+    sellerAccessToken: maskToken(seller.accessToken),
+    sellerLocationId: seller.locationId || null,
+    status: seller.status,
+    expiresAt: seller.expiresAt || null,
+    connectedAt: seller.connectedAt
+  };
 }
 
 // ─────────────────────────────────────────────────────────────
-// 0) Set/Get connected seller credentials (once)
+// 0) Connect a seller with Square OAuth
+// GET /oauth/authorize  → redirects the seller to Square's consent screen
+// GET /oauth/callback   → Square redirects back with ?code&state
+// The CSRF state is bound to the browser with a short-lived cookie.
+// The callback returns the seller's API key (x-seller-key for seller-scoped requests) once;
+// connecting again issues a new one.
 // ─────────────────────────────────────────────────────────────
-app.post('/api/set', (req, res) => {
-  const { sellerAccessToken, sellerLocationId } = req.body || {};
-  if (!sellerAccessToken) return res.status(400).json({ error: 'sellerAccessToken required' });
-  CONNECTED.accessToken = sellerAccessToken;
-  CONNECTED.locationId = sellerLocationId || CONNECTED.locationId || MAIN_LOCATION_ID;
-  res.json({ ok: true });
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : undefined;
+}
+
+app.get('/oauth/authorize', (_req, res) => {
+  try {
+    const state = oauth.createState();
+    res.cookie(oauth.STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.SQUARE_ENV === 'production',
+      maxAge: oauth.STATE_TTL_MS
+    });
+    res.redirect(oauth.authorizeUrl(state));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+app.get('/oauth/callback', async (req, res) => {
+  const { code, state, error, error_description } = req.query;
+  const cookieState = readCookie(req, oauth.STATE_COOKIE);
+  res.clearCookie(oauth.STATE_COOKIE);
+
+  if (!oauth.consumeState(state, cookieState)) {
+    return res.status(400).json({ error: 'Invalid or expired OAuth state' });
+  }
+  // Seller declined, or Square rejected the request
+  if (error) return res.status(400).json({ error, details: error_description });
+  if (!code) return res.status(400).json({ error: 'code required' });
+
+  try {
+    const creds = await oauth.exchangeCode(code);
+    // (Re)connecting clears any earlier disconnect
+    const seller = sellers.upsertSeller({ ...creds, status: 'connected', disconnectReason: null, disconnectedAt: null });
+    const apiKey = sellers.issueApiKey(seller.merchantId);
+    res.json({ ok: true, sellerId: seller.merchantId, locationId: seller.locationId, expiresAt: seller.expiresAt, apiKey });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// Connected sellers (admin key; tokens are masked)
+// POST /api/sellers/:sellerId/api-key issues a new seller API key (the old one stops working)
+// ─────────────────────────────────────────────────────────────
+app.get('/api/sellers', requireAdmin, (_req, res) => {
+  res.json({ sellers: sellers.listSellers().map(sellerView) });
+});
+
+app.get('/api/sellers/:sellerId', requireAdmin, (req, res) => {
+  const seller = sellers.getSeller(req.params.sellerId);
+  if (!seller) return res.status(404).json({ error: 'Seller not connected' });
+  res.json(sellerView(seller));
+});
+
+app.post('/api/sellers/:sellerId/api-key', requireAdmin, (req, res) => {
+  const apiKey = sellers.issueApiKey(req.params.sellerId);
+  if (!apiKey) return res.status(404).json({ error: 'Seller not connected' });
+  res.json({ sellerId: req.params.sellerId, apiKey });
+});
+
+// Connection status for the dashboard (?check=true verifies the token with Square).
+// Admin key or the seller's own API key.
+app.get('/api/sellers/:sellerId/status', async (req, res) => {
+  try {
+    if (!isAdmin(req) && !sellers.verifyApiKey(req.params.sellerId, req.get('x-seller-key'))) {
+      return res.status(401).json({ error: 'Admin API key or x-seller-key required' });
+    }
+    const status = await tokens.connectionStatus(req.params.sellerId, { check: req.query.check === 'true' });
+    if (!status) return res.status(404).json({ error: 'Seller not connected' });
+    res.json(status);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
 });
 
-app.get('/api/get', (req, res) => {
-  const masked = CONNECTED.accessToken
-    ? CONNECTED.accessToken.slice(0, 6) + '...' + CONNECTED.accessToken.slice(-4)
-    : null;
-  res.json({ sellerAccessToken: masked, sellerLocationId: CONNECTED.locationId || null });
+// ─────────────────────────────────────────────────────────────
+// Promo codes (platform-wide; admin routes need x-admin-key, see lib/promo_routes.js)
+// ─────────────────────────────────────────────────────────────
+app.use('/api/promo-codes', promoRoutes);
+
+// ─────────────────────────────────────────────────────────────
+// Seller-scoped API
+// Every catalog/cart/order/checkout route below resolves its seller from
+//   /api/sellers/:sellerId/...         (route prefix), or
+//   /api/...  with  x-seller-id: <merchantId>  header
+// and sets req.seller + req.sq (the seller's token-managed client).
+// Requests must carry the seller's API key (x-seller-key, from /oauth/callback) or the
+// admin key; otherwise 401. Disconnected sellers get 401 with a reconnectUrl.
+// ─────────────────────────────────────────────────────────────
+const api = express.Router({ mergeParams: true });
+
+api.use((req, res, next) => {
+  const sellerId = req.params.sellerId || req.get('x-seller-id');
+  if (!sellerId) return res.status(400).json({ error: 'Seller required: use /api/sellers/:sellerId/... or x-seller-id header' });
+
+  // unknown and unauthenticated look the same, so merchant ids can't be probed
+  if (!isAdmin(req) && !sellers.verifyApiKey(sellerId, req.get('x-seller-key'))) {
+    return res.status(401).json({ error: 'x-seller-key (the seller\'s API key) or the admin key required' });
+  }
+  const seller = sellers.getSeller(sellerId);
+  if (!seller) return res.status(404).json({ error: 'Seller not connected. Connect via /oauth/authorize' });
+  if (seller.status === 'disconnected') {
+    return res.status(401).json({
+      error: 'Seller is disconnected and must reconnect',
+      reason: seller.disconnectReason,
+      reconnectUrl: '/oauth/authorize'
+    });
+  }
+
+  req.seller = seller;
+  req.sq = tokens.clientFor(sellerId);
+  next();
 });
 
 // ─────────────────────────────────────────────────────────────
-// 1) Create products in CONNECTED seller account
-// Body: { name, description?, categoryId?, variations:[{name,price,currency,sku}] }
+// 1) Create products in the seller's account
+// Body: { name, description?, categoryId?, modifierListIds?, taxIds?, variations:[{name,price,currency,sku,stock?}], locationId? }
+// A variation with stock gets trackInventory and that initial count (seller's main location).
 // ─────────────────────────────────────────────────────────────
-app.post('/api/catalog/items', async (req, res) => {
+api.post('/catalog/items', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
-    const { name, description, categoryId, variations = [] } = req.body || {};
+    const { name, description, categoryId, variations = [], locationId } = req.body || {};
     if (!name || !variations.length) return res.status(400).json({ error: 'name and variations[] required' });
+    const invalidLinks = catalog.validateItemLinks(req.body);
+    if (invalidLinks) return res.status(400).json({ error: invalidLinks });
+    if (variations.some(v => v.stock != null && !(Number.isInteger(v.stock) && v.stock >= 0))) {
+      return res.status(400).json({ error: 'variations[].stock must be a non-negative integer' });
+    }
 
-    const seller = buildSellerClient(CONNECTED.accessToken);
-    const { catalogApi } = seller;
+    const { catalogApi } = req.sq;
 
     const itemId = `#${uuidv4()}`;
     const objects = [
-      { type: 'ITEM', id: itemId, itemData: { name, description, categoryId } },
+      { type: 'ITEM', id: itemId, itemData: { name, description, categoryId, ...catalog.itemLinkData(req.body) } },
       ...variations.map(v => ({
         type: 'ITEM_VARIATION',
         id: `#${uuidv4()}`,
@@ -137,7 +246,8 @@ app.post('/api/catalog/items', async (req, res) => {
           name: v.name,
           pricingType: 'FIXED_PRICING',
           priceMoney: v.price != null ? { amount: BigInt(v.price), currency: v.currency || 'USD' } : undefined,
-          sku: v.sku
+          sku: v.sku,
+          trackInventory: v.stock != null ? true : undefined
         }
       }))
     ];
@@ -146,230 +256,873 @@ app.post('/api/catalog/items', async (req, res) => {
       idempotencyKey: uuidv4(),
       batches: [{ objects }]
     });
+
+    const idFor = new Map((resp.result.idMappings || []).map(m => [m.clientObjectId, m.objectId]));
+    const counts = objects.slice(1)
+      .map((o, i) => ({ variationId: idFor.get(o.id), quantity: variations[i].stock }))
+      .filter(c => c.quantity != null);
+    const inventoryCounts = counts.length
+      ? await inventory.setCounts(req.sq, counts, locationId || req.seller.locationId || MAIN_LOCATION_ID)
+      : undefined;
+
+    res.json({ ...resp.result, inventoryCounts });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 1b) Seller inventory (admin key; bodies as in index.js 1b, locationId defaults to the seller's)
+// GET /inventory/:variationId, GET /inventory/:variationId/changes,
+// POST /inventory/counts, /inventory/adjustments, /inventory/transfers
+// ─────────────────────────────────────────────────────────────
+api.get('/inventory/:variationId', requireAdmin, async (req, res) => {
+  try {
+    const locationId = req.query.locationId || req.seller.locationId;
+    const counts = await inventory.countsFor(req.sq, [req.params.variationId], locationId ? [locationId] : undefined);
+    res.json({ variationId: req.params.variationId, counts });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.get('/inventory/:variationId/changes', requireAdmin, async (req, res) => {
+  try {
+    const { locationId, types, updatedAfter, cursor } = req.query;
+    res.json(await inventory.changeHistory(req.sq, req.params.variationId, {
+      locationIds: locationId ? [locationId] : undefined,
+      types: types ? String(types).split(',') : undefined,
+      updatedAfter,
+      cursor
+    }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/inventory/counts', requireAdmin, async (req, res) => {
+  try {
+    res.json({ counts: await inventory.setCounts(req.sq, req.body?.counts, req.seller.locationId || MAIN_LOCATION_ID) });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/inventory/adjustments', requireAdmin, async (req, res) => {
+  try {
+    res.json({ counts: await inventory.adjustStock(req.sq, req.body?.adjustments, req.seller.locationId || MAIN_LOCATION_ID) });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/inventory/transfers', requireAdmin, async (req, res) => {
+  try {
+    res.json({ counts: await inventory.transferStock(req.sq, req.body || {}) });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// 2) List products from the seller's catalog mirror (query params and products as in index.js 2;
+// stock at locationId or the seller's main location)
+api.get('/catalog/items', async (req, res) => {
+  try {
+    res.json(await storefront.listProducts(req.sq, req.seller.merchantId, req.query, {
+      defaultLocationId: req.seller.locationId || MAIN_LOCATION_ID
+    }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// Full re-sync of the seller's mirror / its state (admin key)
+api.post('/catalog/sync', requireAdmin, async (req, res) => {
+  try {
+    await catalogCache.sync(req.sq, req.seller.merchantId, { full: true });
+    res.json(catalogCache.status(req.seller.merchantId));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.get('/catalog/sync', requireAdmin, (req, res) => {
+  res.json(catalogCache.status(req.seller.merchantId));
+});
+
+// 2b) Catalog discounts & pricing rules (see lib/discounts.js for the POST body)
+api.get('/catalog/discounts', async (req, res) => {
+  try {
+    const resp = await req.sq.catalogApi.listCatalog(req.query.cursor, 'DISCOUNT,PRICING_RULE');
     res.json(resp.result);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
-// 2) List products from CONNECTED seller
-app.get('/api/catalog/items', async (req, res) => {
+api.post('/catalog/pricing-rules', requireAdmin, async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
-    const { cursor, limit } = req.query;
-    const seller = buildSellerClient(CONNECTED.accessToken);
-    const { catalogApi } = seller;
-    const resp = await catalogApi.searchCatalogItems({
-      cursor,
-      limit: limit ? Number(limit) : undefined
+    const invalid = discounts.validatePricingRuleInput(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const resp = await req.sq.catalogApi.batchUpsertCatalogObjects({
+      idempotencyKey: uuidv4(),
+      batches: [{ objects: discounts.buildPricingRuleObjects(req.body) }]
     });
     res.json(resp.result);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// 2c) Manage the seller's products, categories, modifier lists and taxes
+// (see index.js 2c; changes need the admin key)
+api.use('/catalog/categories', catalogObjectRoutes('CATEGORY', req => req.sq));
+api.use('/catalog/modifier-lists', catalogObjectRoutes('MODIFIER_LIST', req => req.sq));
+api.use('/catalog/taxes', catalogObjectRoutes('TAX', req => req.sq));
+
+api.get('/catalog/items/:itemId', async (req, res) => {
+  try {
+    res.json(await catalog.getItem(req.sq, req.params.itemId));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.patch('/catalog/items/:itemId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.updateItem(req.sq, req.params.itemId, req.body || {}));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.delete('/catalog/items/:itemId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.deleteObject(req.sq, req.params.itemId, 'ITEM'));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.patch('/catalog/variations/:variationId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.updateVariation(req.sq, req.params.variationId, req.body || {}));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.delete('/catalog/variations/:variationId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await catalog.deleteObject(req.sq, req.params.variationId, 'ITEM_VARIATION'));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/catalog/items/:itemId/images', requireAdmin, catalog.imageUpload, async (req, res) => {
+  try {
+    const { caption, isPrimary } = req.body || {};
+    res.json(await catalog.uploadItemImage(req.sq, req.params.itemId, req.file, { caption, isPrimary }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// 2d) Bulk import/export of the seller's catalog (admin key; see index.js 2d)
+api.post('/catalog/import', requireAdmin, express.text({ type: 'text/csv', limit: '5mb' }), express.json({ limit: '5mb' }), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const result = await catalogBulk.importRows(req.sq, catalogBulk.rowsFromBody(req.body), { dryRun });
+    if (!dryRun) {
+      catalogCache.refresh(req.sq, req.seller.merchantId)?.catch(e => console.error('catalog refresh after import failed', e?.message || e));
+    }
+    res.json(result);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.get('/catalog/export', requireAdmin, async (req, res) => {
+  try {
+    const rows = await catalogBulk.exportRows(req.sq);
+    if (req.query.format === 'json') return res.json({ rows });
+    res.type('text/csv').attachment('catalog.csv').send(catalogBulk.toCsv(rows));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
-// 3) Create cart (draft order) on CONNECTED seller
-// Body: {}
+// 3) Create cart (draft order) on the seller
+// Body: { "autoApplyDiscounts"?: true, "customerId"?, "sessionId"? }  (catalog pricing rules; AUTO_APPLY_DISCOUNTS=false to default off)
+// With sessionId/customerId the owner's current cart is returned while it can still be changed (index.js 4).
+// customerId needs the customer's x-customer-token (issued for this seller) or the admin key.
 // ─────────────────────────────────────────────────────────────
-app.post('/api/cart', async (_req, res) => {
+api.post('/cart', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
+    const customerId = customerAuth.customerFor(req, req.body?.customerId, { sellerId: req.seller.merchantId }) || undefined;
+    const owner = { sellerId: req.seller.merchantId, sessionId: req.body?.sessionId, customerId };
+    const current = carts.currentCart(owner);
+    if (current && ['active', 'abandoned'].includes(current.state)) {
+      return res.json(await getOrder(req.sq, current.orderId));
+    }
 
-    const seller = buildSellerClient(CONNECTED.accessToken);
-    const { ordersApi } = seller;
+    const { ordersApi } = req.sq;
 
     const resp = await ordersApi.createOrder({
       idempotencyKey: uuidv4(),
-      order: { locationId: CONNECTED.locationId || MAIN_LOCATION_ID, state: 'OPEN' }
+      order: {
+        locationId: req.seller.locationId || MAIN_LOCATION_ID,
+        state: 'OPEN',
+        customerId,
+        pricingOptions: discounts.defaultPricingOptions({ autoApplyDiscounts: req.body?.autoApplyDiscounts })
+      }
     });
+    carts.trackCart(resp.result.order, { sellerId: req.seller.merchantId });
+    carts.claimCart(resp.result.order.id, owner);
     res.json(resp.result.order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 3b) Customers of the seller (see index.js 4b for the bodies)
+// POST /customers (create; find-or-create with the admin key), POST|DELETE /cart/:orderId/customer
+// Admin key: GET /customers, GET|PUT /customers/:customerId, GET /customers/:customerId/orders,
+//            POST /customers/:customerId/token
+// Customer tokens are issued per seller and only accepted on that seller's routes.
+// ─────────────────────────────────────────────────────────────
+api.post('/customers', async (req, res) => {
+  try {
+    const invalid = customers.validateCustomerInput(req.body || {}, { create: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const admin = isAdmin(req);
+    const { customer, created } = await customers.upsertCustomer(req.sq, req.body, { createOnly: !admin });
+    res.json({
+      customerId: customer.id,
+      created,
+      ...(!admin && customerAuth.issueToken(customer.id, { sellerId: req.seller.merchantId }))
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/customers/:customerId/token', requireAdmin, async (req, res) => {
+  try {
+    await customers.getCustomer(req.sq, req.params.customerId); // 404 for an unknown customer
+    const token = customerAuth.issueToken(req.params.customerId, { sellerId: req.seller.merchantId });
+    if (!token) return res.status(503).json({ error: 'Customer tokens disabled: set CUSTOMER_TOKEN_SECRET' });
+    res.json(token);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.get('/customers', requireAdmin, async (req, res) => {
+  try {
+    const { email, phone, q, limit, cursor } = req.query;
+    res.json(await customers.searchCustomers(req.sq, { email, phone, q, limit, cursor }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.get('/customers/:customerId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await customers.getCustomer(req.sq, req.params.customerId));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.put('/customers/:customerId', requireAdmin, async (req, res) => {
+  try {
+    const invalid = customers.validateCustomerInput(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+    res.json(await customers.updateCustomer(req.sq, req.params.customerId, req.body));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.get('/customers/:customerId/orders', requireAdmin, async (req, res) => {
+  try {
+    const { state, limit, cursor } = req.query;
+    res.json(await customers.orderHistory(req.sq, req.params.customerId, {
+      locationIds: [req.seller.locationId || MAIN_LOCATION_ID],
+      states: state ? String(state).split(',') : undefined,
+      limit,
+      cursor
+    }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/cart/:orderId/customer', async (req, res) => {
+  try {
+    const { customerId, ...fields } = req.body || {};
+    const sellerId = req.seller.merchantId;
+    customerAuth.assertCustomer(req, (await getOrder(req.sq, req.params.orderId)).customerId, { sellerId });
+    let id = customerId && customerAuth.customerFor(req, customerId, { sellerId });
+    if (id) {
+      await customers.getCustomer(req.sq, id); // 404 for an unknown customer
+    } else {
+      const invalid = customers.validateCustomerInput(fields, { create: true });
+      if (invalid) return res.status(400).json({ error: invalid });
+      id = (await customers.upsertCustomer(req.sq, fields, { createOnly: !isAdmin(req) })).customer.id;
+    }
+    const order = await updateOrderWith(req.sq, req.params.orderId, { customerId: id });
+    carts.claimCart(order.id, { customerId: id });
+    res.json(order);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.delete('/cart/:orderId/customer', async (req, res) => {
+  try {
+    customerAuth.assertCustomer(req, (await getOrder(req.sq, req.params.orderId)).customerId, { sellerId: req.seller.merchantId });
+    const order = await updateOrderWith(req.sq, req.params.orderId, {}, ['customer_id']);
+    carts.releaseCustomer(order.id);
+    res.json(order);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// 3c) Cart state of a seller cart (see index.js 4c and lib/carts.js)
+// GET /cart/:orderId/state, POST /cart/:orderId/reopen, POST /cart/:orderId/cancel
+// Another seller's cart is 404, as if it weren't tracked.
+
+// Helper: the cart record if it belongs to this seller, else null
+function sellerCart(req, orderId) {
+  const cart = carts.getCart(orderId);
+  return cart?.sellerId === req.seller.merchantId ? cart : null;
+}
+
+api.get('/cart/:orderId/state', (req, res) => {
+  const cart = sellerCart(req, req.params.orderId);
+  if (!cart) return res.status(404).json({ error: 'Cart not tracked' });
+  res.json(cart);
+});
+
+api.post('/cart/:orderId/reopen', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const cart = sellerCart(req, orderId);
+    if (!cart) return res.status(404).json({ error: 'Cart not tracked' });
+    if (cart.state === 'checkout_pending' && cart.paymentKey) {
+      return res.status(409).json({ error: 'A card payment holds this cart; cancel that payment instead', reason: 'CHECKOUT_IN_PROGRESS' });
+    }
+    await paymentLinks.invalidateForCart(() => req.sq, orderId, { reason: 'CART_REOPENED' });
+    res.json(carts.reopen(orderId, 'REOPENED'));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/cart/:orderId/cancel', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    // untracked carts are canceled on Square as they are, with this seller's client
+    if (carts.getCart(orderId) && !sellerCart(req, orderId)) return res.status(404).json({ error: 'Cart not tracked' });
+    await paymentLinks.invalidateForCart(() => req.sq, orderId, { reason: 'CART_CANCELED' });
+    const order = await carts.cancelCart(req.sq, orderId);
+    inventory.releaseHolds(orderId);
+    res.json({ order, cart: carts.getCart(orderId) });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// 3d) Cart owners and merge on the seller (see index.js 4d and lib/cart_merge.js)
+// GET /cart/current?sessionId=, POST /cart/:orderId/merge { sourceOrderId }, POST /cart/handoff { sessionId }
+// The customer comes from x-customer-token (or a named customerId with the admin key), as in index.js 4d.
+function mergeOps(req) {
+  const sq = req.sq;
+  return {
+    getOrder: (orderId) => getOrder(sq, orderId),
+    updateOrder: (orderId, patch) => updateOrderWith(sq, orderId, patch),
+    invalidateLinks: (orderId) => paymentLinks.invalidateForCart(() => sq, orderId, { reason: 'CART_MERGED' }),
+    assertOwner: (order) => customerAuth.assertCustomer(req, order.customerId, { sellerId: req.seller.merchantId })
+  };
+}
+
+function closeMergedCart(result) {
+  if (!result.canceledOrderId) return;
+  inventory.releaseHolds(result.canceledOrderId);
+}
+
+api.get('/cart/current', async (req, res) => {
+  try {
+    const sellerId = req.seller.merchantId;
+    const { sessionId } = req.query;
+    const customerId = customerAuth.customerFor(req, req.query.customerId, { sellerId });
+    if (!sessionId && !customerId) return res.status(400).json({ error: 'sessionId or a customer token required' });
+    const cart = carts.currentCart({ sellerId, sessionId, customerId });
+    if (!cart) return res.status(404).json({ error: 'No current cart' });
+    const order = await getOrder(req.sq, cart.orderId);
+    customerAuth.assertCustomer(req, order.customerId, { sellerId });
+    res.json({ cart, order });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/cart/handoff', async (req, res) => {
+  try {
+    const sellerId = req.seller.merchantId;
+    const { sessionId } = req.body || {};
+    const customerId = customerAuth.customerFor(req, req.body?.customerId, { sellerId });
+    if (!customerId) return res.status(401).json({ error: 'x-customer-token required' });
+    await customers.getCustomer(req.sq, customerId); // 404 for an unknown customer
+    const result = await cartMerge.handoff(req.sq, { sellerId, sessionId, customerId }, mergeOps(req));
+    closeMergedCart(result);
+    res.json(result);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/cart/:orderId/merge', async (req, res) => {
+  try {
+    const result = await cartMerge.mergeCarts(req.sq, req.params.orderId, req.body?.sourceOrderId, mergeOps(req));
+    closeMergedCart(result);
+    res.json(result);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // 4) Add line item to seller cart
-app.post('/api/cart/:orderId/line-items', async (req, res) => {
+// Body: { variationId, quantity, modifierIds?: [], onShortage?: 'reject'|'cap' }; stock-checked like index.js 5)
+api.post('/cart/:orderId/line-items', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
     const { orderId } = req.params;
-    const { variationId, quantity } = req.body || {};
+    const { variationId, quantity, modifierIds, onShortage } = req.body || {};
     if (!variationId || !quantity) return res.status(400).json({ error: 'variationId and quantity required' });
+    const modifiers = catalog.lineItemModifiers(modifierIds);
 
-    const order = await updateOrderWith(orderId, {
-      lineItems: [{ uid: uuidv4(), quantity: String(quantity), catalogObjectId: variationId }]
+    const current = await getOrder(req.sq, orderId);
+    const stock = await inventory.checkLineQuantity(req.sq, current, { variationId, quantity, onShortage });
+
+    const order = await updateOrderWith(req.sq, orderId, {
+      lineItems: [{ uid: uuidv4(), quantity: String(stock.quantity), catalogObjectId: variationId, modifiers }]
     });
-    res.json(order);
+    res.json(stock.adjustment ? { ...order, stockAdjustments: [stock.adjustment] } : order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // 5) Update quantity
-app.put('/api/cart/:orderId/line-items/:lineItemUid', async (req, res) => {
+api.put('/cart/:orderId/line-items/:lineItemUid', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
     const { orderId, lineItemUid } = req.params;
-    const { quantity } = req.body || {};
+    const { quantity, onShortage } = req.body || {};
     if (!quantity) return res.status(400).json({ error: 'quantity required' });
 
-    const current = await getOrder(orderId);
+    const current = await getOrder(req.sq, orderId);
     const target = (current.lineItems || []).find(li => li.uid === lineItemUid);
     if (!target) return res.status(404).json({ error: 'line item uid not found' });
 
+    const stock = target.catalogObjectId
+      ? await inventory.checkLineQuantity(req.sq, current, { variationId: target.catalogObjectId, quantity, lineItemUid, onShortage })
+      : { quantity: Number(quantity), adjustment: null };
+
     const newItems = (current.lineItems || []).map(li =>
-      li.uid === lineItemUid ? { uid: li.uid, quantity: String(quantity), catalogObjectId: li.catalogObjectId } : li
+      li.uid === lineItemUid ? { uid: li.uid, quantity: String(stock.quantity), catalogObjectId: li.catalogObjectId } : li
     );
 
-    const order = await updateOrderWith(orderId, { lineItems: newItems });
-    res.json(order);
+    const order = await updateOrderWith(req.sq, orderId, { lineItems: newItems });
+    res.json(stock.adjustment ? { ...order, stockAdjustments: [stock.adjustment] } : order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // 6) Remove line item
-app.delete('/api/cart/:orderId/line-items/:lineItemUid', async (req, res) => {
+api.delete('/cart/:orderId/line-items/:lineItemUid', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
     const { orderId, lineItemUid } = req.params;
-    const order = await updateOrderWith(orderId, {}, [`line_items[${lineItemUid}]`]);
+    const order = await updateOrderWith(req.sq, orderId, {}, [`line_items[${lineItemUid}]`]);
     res.json(order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
-// 7) Apply discount (order-level)
-app.post('/api/cart/:orderId/discounts', async (req, res) => {
+// 7) Apply discount
+// { promoCode } | { name, type, value } | { catalogDiscountId }, optionally scoped to
+// "lineItemUids"/"variationIds" (LINE_ITEM). Pricing rules apply automatically.
+api.post('/cart/:orderId/discounts', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
     const { orderId } = req.params;
-    let { promoCode, name, type, value, currency } = req.body || {};
+    const { promoCode } = req.body || {};
 
-    const order = await getOrder(orderId);
-    const curr = currency || order?.totalMoney?.currency || 'USD';
+    const order = await getOrder(req.sq, orderId);
 
     let discountObj = null;
+    let lineItems = [];
     if (promoCode) {
-      const pc = promoCodes.get(promoCode.toUpperCase());
-      if (!pc) return res.status(404).json({ error: 'Invalid promo code' });
-      discountObj = (pc.type === 'PERCENT')
-        ? { uid: uuidv4(), name: pc.name || promoCode.toUpperCase(), percentage: String(pc.value), scope: 'ORDER' }
-        : { uid: uuidv4(), name: pc.name || promoCode.toUpperCase(), amountMoney: { amount: Number(pc.value), currency: curr }, scope: 'ORDER' };
+      // Enforces dates, caps, minimum spend and targeting (422 { reason } when not usable)
+      ({ discount: discountObj, lineItems } = await promos.buildPromoDiscount(req.sq, order, promoCode, {
+        customerId: order.customerId
+      }));
     } else {
-      if (!name || !['PERCENT', 'FIXED'].includes(type) || typeof value !== 'number')
-        return res.status(400).json({ error: 'promoCode or (name,type,value) required' });
-      discountObj = (type === 'PERCENT')
-        ? { uid: uuidv4(), name, percentage: String(value), scope: 'ORDER' }
-        : { uid: uuidv4(), name, amountMoney: { amount: Number(value), currency: curr }, scope: 'ORDER' };
+      // Ad hoc or catalog DISCOUNT, order-level or on lineItemUids/variationIds
+      ({ discount: discountObj, lineItems } = discounts.buildManualDiscount(order, req.body));
     }
 
-    const updated = await updateOrderWith(orderId, {
-      discounts: [ ...(order.discounts || []), discountObj ]
+    const updated = await updateOrderWith(req.sq, orderId, {
+      discounts: [ ...(order.discounts || []), discountObj ],
+      ...(lineItems.length ? { lineItems } : {})
     });
+
+    // Counted as a redemption only once the order is paid (payment webhook)
+    if (promoCode) {
+      promos.recordApplication({ code: promoCode, orderId, discountUid: discountObj.uid, customerId: order.customerId });
+    }
     res.json(updated);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
-app.delete('/api/cart/:orderId/discounts', async (req, res) => {
+// Remove one discount (and its line-item applications); other discounts stay
+api.delete('/cart/:orderId/discounts/:discountUid', async (req, res) => {
+  try {
+    const { orderId, discountUid } = req.params;
+    const order = await getOrder(req.sq, orderId);
+    if (!(order.discounts || []).some(d => d.uid === discountUid)) {
+      return res.status(404).json({ error: 'discount uid not found' });
+    }
+
+    const updated = await updateOrderWith(req.sq, orderId, {}, discounts.discountClearPaths(order, discountUid));
+    promos.releaseApplication(orderId, discountUid);
+    res.json(updated);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.delete('/cart/:orderId/discounts', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
     const { orderId } = req.params;
-    const updated = await updateOrderWith(orderId, {}, ['discounts']);
+    const order = await getOrder(req.sq, orderId);
+    const updated = await updateOrderWith(req.sq, orderId, {}, ['discounts']);
+    for (const d of order.discounts || []) promos.releaseApplication(orderId, d.uid);
     res.json(updated);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // 8) Calculate totals
-app.post('/api/orders/:orderId/calculate', async (req, res) => {
+api.post('/orders/:orderId/calculate', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
 
-    const seller = buildSellerClient(CONNECTED.accessToken);
-    const { ordersApi } = seller;
+    const { ordersApi } = req.sq;
 
-    const current = await getOrder(req.params.orderId);
-    const resp = await ordersApi.calculateOrder({ order: current });
+    const current = await getOrder(req.sq, req.params.orderId);
+    const resp = await ordersApi.calculateOrder({
+      order: { ...current, pricingOptions: current.pricingOptions || discounts.defaultPricingOptions() }
+    });
     res.json(resp.result.order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // 9) Get order
-app.get('/api/orders/:orderId', async (req, res) => {
+api.get('/orders/:orderId', async (req, res) => {
   try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
-    const order = await getOrder(req.params.orderId);
+    const order = await getOrder(req.sq, req.params.orderId);
     res.json(order);
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
 // ─────────────────────────────────────────────────────────────
-// 10) Create Payment Link on CONNECTED seller with $2 to MAIN
-// Body: {}  (uses in-memory CONNECTED.*)
+// 9b) Card payment on the seller with the platform fee
+// Body: { "orderId", "sourceId", "autocomplete"?, "expectedAmount"?, "verificationToken"?, "buyerEmailAddress"?, "note"? }
+// Header: Idempotency-Key (reuse it on retries). autocomplete:false → complete/cancel below.
+// The cart is locked before the charge, as in index.js 11).
 // ─────────────────────────────────────────────────────────────
-app.post('/api/checkout/links', async (_req, res) => {
-  try {
-    if (!CONNECTED.accessToken) return res.status(400).json({ error: 'Set seller with /api/set' });
-
-    const seller = buildSellerClient(CONNECTED.accessToken);
-    const { ordersApi, checkoutApi } = seller;
-
-    // In most cases you’ll pass orderId; creating here for demo simplicity:
-    // If you already have an orderId, change this route to accept it and retrieve instead.
-    // For now, expect client to send an existing orderId via query (?orderId=...)
-    // but we’ll support both.
-    const orderId = _req.query.orderId;
-    if (!orderId) return res.status(400).json({ error: 'orderId query param required' });
-
-    const r = await ordersApi.retrieveOrder(orderId);
-    const order = r.result.order;
-
-    const lineItems = (order.lineItems || []).map(li => {
-      const name = li.name || 'Item';
-      const quantity = li.quantity || '1';
-      const price = li.basePriceMoney?.amount
-        ?? (li.totalMoney?.amount && BigInt(li.totalMoney.amount) / BigInt(quantity || '1'));
-      if (!price) throw { error: true, details: 'Cannot infer line item price for payment link.' };
-      return {
-        name,
-        quantity,
-        basePriceMoney: {
-          amount: BigInt(price),
-          currency: li.basePriceMoney?.currency || order.totalMoney?.currency || 'USD'
-        }
-      };
+api.post('/checkout/payment', async (req, res) => {
+  try {
+    const { orderId, sourceId, autocomplete, expectedAmount, verificationToken, buyerEmailAddress, note } = req.body || {};
+    if (!orderId || !sourceId) return res.status(400).json({ error: 'orderId and sourceId required' });
+
+    const idempotencyKey = payments.idempotencyKeyFrom(req);
+    const retry = carts.getCart(orderId)?.paymentKey === idempotencyKey;
+    const paid = carts.lockForPayment(orderId, idempotencyKey)?.state === 'paid';
+
+    let fee;
+    let payment;
+    try {
+      payment = await payments.chargeOrder(req.sq, {
+        orderId,
+        sourceId,
+        idempotencyKey,
+        autocomplete,
+        expectedAmount,
+        verificationToken,
+        buyerEmailAddress,
+        note,
+        paid,
+        appFee: (order) => (fee = fees.computeFee(order.totalMoney, { sellerId: req.seller.merchantId })).amountMoney // to MAIN
+      });
+    } catch (e) {
+      if (!retry && e?.status >= 400 && e?.status < 500) carts.reopen(orderId, 'PAYMENT_FAILED');
+      throw e;
+    }
+    if (payment.status === 'COMPLETED') carts.markPaid(orderId, 'CARD_PAYMENT');
+    else if (payment.status === 'APPROVED' && carts.getCart(orderId)?.state === 'canceled') {
+      await payments.cancelPayment(req.sq, payment.id);
+      return res.status(409).json({ error: 'Cart was canceled; the authorization was voided', reason: 'CART_CANCELED' });
+    }
+    res.json({ payment, fee: fee.breakdown });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/checkout/payment/:paymentId/complete', async (req, res) => {
+  try {
+    const payment = await payments.completePayment(req.sq, req.params.paymentId, req.body?.versionToken);
+    if (payment?.orderId) carts.markPaid(payment.orderId, 'CARD_PAYMENT');
+    res.json(payment);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.post('/checkout/payment/:paymentId/cancel', async (req, res) => {
+  try {
+    const payment = await payments.cancelPayment(req.sq, req.params.paymentId);
+    if (payment?.orderId) carts.reopen(payment.orderId, 'PAYMENT_CANCELED');
+    res.json(payment);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 10) Create Payment Link on the seller with the platform fee to MAIN
+// Query: ?orderId=...  (or body { orderId, redirectUrl?, checkoutOptions?, prePopulatedData? })
+// Checkout options default to this seller's /checkout/settings (lib/checkout_options.js).
+// The link's order is a priced clone of the cart; 409 TOTAL_MISMATCH if the totals differ.
+// ─────────────────────────────────────────────────────────────
+api.post('/checkout/links', async (req, res) => {
+  try {
+    const orderId = req.query.orderId || req.body?.orderId;
+    if (!orderId) return res.status(400).json({ error: 'orderId required (query or body)' });
+
+    carts.assertCheckoutAllowed(orderId);
+    const { redirectUrl, checkoutOptions, prePopulatedData } = req.body || {};
+    const sellerId = req.seller.merchantId;
+    const order = await getOrder(req.sq, orderId);
+    const checkout = checkoutOpts.resolveCheckout(
+      {
+        checkoutOptions: { ...checkoutOptions, ...(redirectUrl && { redirectUrl }) },
+        // buyer details default to the cart's customer
+        prePopulatedData: prePopulatedData || (order.customerId ? await customers.prefillFor(req.sq, order.customerId) : undefined)
+      },
+      { orderId, sellerId, currency: order.totalMoney?.currency }
+    );
+
+    let fee;
+    const { paymentLink, cartTotal } = await paymentLinks.createLinkForCart(req.sq, orderId, {
+      sellerId,
+      ...checkout,
+      appFee: (total) => (fee = fees.computeFee(total, { sellerId })).amountMoney // goes to your MAIN account
     });
+    carts.startCheckout(orderId, 'PAYMENT_LINK');
 
-    const currency = order.totalMoney?.currency || 'USD';
-    const locId = order.locationId || CONNECTED.locationId || MAIN_LOCATION_ID;
+    res.json({
+      url: paymentLink.url,
+      paymentLink,
+      cartOrderId: orderId,
+      linkOrderId: paymentLink.orderId,
+      totalMoney: cartTotal,
+      fee: fee.breakdown
+    });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
 
-    const resp = await checkoutApi.createPaymentLink({
-      idempotencyKey: uuidv4(),
-      order: { locationId: locId, lineItems },
-      checkoutOptions: {
-        redirectUrl: 'https://example.com/thanks',
-        appFeeMoney: { amount: appFeeCents(), currency } // $2 goes to your MAIN account
-      }
+// Payment link lifecycle on the seller (admin key)
+//   GET /checkout/links?cursor=&limit=, GET|PUT|DELETE /checkout/links/:linkId
+// PUT body: { "checkoutOptions"?, "prePopulatedData"?, "description"?, "paymentNote"? }
+// Links are also deleted automatically before their cart changes, when a new link is made for
+// the cart (status INVALIDATED) and when another of the cart's links is paid.
+api.get('/checkout/links', requireAdmin, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    res.json(await paymentLinks.listLinks(req.sq, { cursor, limit }));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.get('/checkout/links/:linkId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await paymentLinks.retrieveLink(req.sq, req.params.linkId));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.put('/checkout/links/:linkId', requireAdmin, async (req, res) => {
+  try {
+    const { checkoutOptions, prePopulatedData, description, paymentNote } = req.body || {};
+    const patch = { checkoutOptions, prePopulatedData, description, paymentNote };
+    res.json(await paymentLinks.updateLink(req.sq, req.params.linkId, patch));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+api.delete('/checkout/links/:linkId', requireAdmin, async (req, res) => {
+  try {
+    const link = await paymentLinks.deleteLink(req.sq, req.params.linkId);
+    if (link.cartOrderId && !paymentLinks.linksForCart(link.cartOrderId).some(l => l.status === 'ACTIVE')) {
+      carts.reopen(link.cartOrderId, 'PAYMENT_LINK_DELETED');
+    }
+    res.json(link);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// Seller checkout settings for payment links (admin key); PUT replaces them
+api.get('/checkout/settings', requireAdmin, (req, res) => {
+  res.json(checkoutOpts.getSettings(req.seller.merchantId));
+});
+
+api.put('/checkout/settings', requireAdmin, (req, res) => {
+  try {
+    res.json(checkoutOpts.putSettings(req.seller.merchantId, req.body || {}));
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// 11) Refunds on the seller (admin key; see lib/refunds.js)
+// Body: { "reason", "operator", "amount"? | "lineItems"?: [{ "uid", "quantity"? }] }
+// The platform's app fee is reversed in proportion to the amount refunded.
+// ─────────────────────────────────────────────────────────────
+api.post('/orders/:orderId/refunds', requireAdmin, async (req, res) => {
+  try {
+    const invalid = refunds.validateRefundInput(req.body || {});
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { amount, lineItems, reason, operator } = req.body;
+    const records = await refunds.refundOrder(req.sq, req.params.orderId, {
+      amount,
+      lineItems,
+      reason,
+      operator,
+      idempotencyKey: payments.idempotencyKeyFrom(req)
     });
+    res.json({ orderId: req.params.orderId, refunds: records });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
 
-    res.json({ url: resp.result.paymentLink?.url, paymentLink: resp.result.paymentLink });
+api.get('/orders/:orderId/refunds', requireAdmin, (req, res) => {
+  res.json({ orderId: req.params.orderId, refunds: refunds.listForOrder(req.params.orderId) });
+});
+
+api.get('/refunds/:refundId', requireAdmin, async (req, res) => {
+  try {
+    res.json(await refunds.getRefund(req.sq, req.params.refundId));
   } catch (e) {
-    res.status(500).json(sqErr(e));
+    res.status(e?.status || 500).json(sqErr(e));
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Webhook handlers (POST /webhooks/square is mounted at the top)
+// ─────────────────────────────────────────────────────────────
+webhooks.on('oauth.authorization.revoked', (event) => {
+  sellers.markDisconnected(event.merchant_id, 'OAUTH_REVOKED');
+});
+
+// Paid orders turn applied promo codes into redemptions. Payment link payments
+// carry the link's order id; the codes were applied to the cart it was cloned from.
+function cartPayment(payment) {
+  const cartOrderId = payment && paymentLinks.cartOrderIdFor(payment.order_id);
+  return cartOrderId ? { ...payment, order_id: cartOrderId } : payment;
+}
+function redeemPromos(event) {
+  return promos.redeemForPayment(tokens.clientFor(event.merchant_id), cartPayment(event.data?.object?.payment));
+}
+webhooks.on('payment.created', redeemPromos);
+webhooks.on('payment.updated', redeemPromos);
+
+// Keep recorded refund statuses in sync
+webhooks.on('refund.*', (event) => refunds.recordStatus(event.data?.object?.refund));
+
+// Payment link bookkeeping: paid links, and carts changed outside this API
+function markLinkPaid(event) {
+  return paymentLinks.markPaid(event.data?.object?.payment, (link) => tokens.clientFor(link.sellerId || event.merchant_id));
+}
+webhooks.on('payment.created', markLinkPaid);
+webhooks.on('payment.updated', markLinkPaid);
+webhooks.on('order.updated', (event) => {
+  const updated = event.data?.object?.order_updated;
+  if (!updated?.order_id) return;
+  return paymentLinks.invalidateForCart((link) => tokens.clientFor(link.sellerId || event.merchant_id),
+    updated.order_id, { cartVersion: updated.version });
+});
+
+// Inventory holds end when the cart is paid or closed (Square then decrements stock itself)
+webhooks.on('payment.updated', (event) => {
+  const payment = cartPayment(event.data?.object?.payment);
+  if (payment?.status === 'COMPLETED') inventory.releaseHolds(payment.order_id);
+});
+webhooks.on('order.updated', (event) => {
+  const updated = event.data?.object?.order_updated;
+  if (updated?.order_id && updated.state && updated.state !== 'OPEN') inventory.releaseHolds(updated.order_id);
+});
+
+// Cart state follows payments and the Square order
+webhooks.on('payment.updated', (event) => {
+  const payment = cartPayment(event.data?.object?.payment);
+  if (payment?.status === 'COMPLETED') carts.markPaid(payment.order_id);
+});
+webhooks.on('order.updated', (event) => {
+  const updated = event.data?.object?.order_updated;
+  if (updated?.state === 'COMPLETED') carts.markPaid(updated.order_id, 'ORDER_COMPLETED');
+  if (updated?.state === 'CANCELED') carts.markCanceled(updated.order_id);
+});
+
+// Seller's catalog changed: refresh its mirror
+webhooks.on('catalog.version.updated', (event) => {
+  if (!sellers.getSeller(event.merchant_id)) return;
+  return catalogCache.refresh(tokens.clientFor(event.merchant_id), event.merchant_id);
+});
+// Seller's stock changed: the storefront reads those counts again
+webhooks.on('inventory.count.updated', (event) => catalogCache.dropStock(event.merchant_id, event.data?.object?.inventory_counts));
+
+app.use('/api/sellers/:sellerId', api);
+app.use('/api', api);
+
 // ─────────────────────────────────────────────────────────────
 app.get('/', (_req, res) => res.send('Square E-commerce API (Sandbox) is running'));
 const PORT = process.env.PORT || 8081;
 app.listen(PORT, () => console.log(`Listening on http://localhost:${PORT}`));
+
+// Idle carts → abandoned (cart.abandoned on carts.events, see lib/carts.js)
+carts.startSweeper();
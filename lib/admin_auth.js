@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// ─────────────────────────────────────────────────────────────
+// Admin API key guard
+// Env: ADMIN_API_KEY. Send it as  x-admin-key: <key>  or  Authorization: Bearer <key>
+// ─────────────────────────────────────────────────────────────
+
+// Helper: does the request carry the admin key? (never while ADMIN_API_KEY is unset)
+function isAdmin(req) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) return false;
+
+  const auth = req.get('authorization') || '';
+  const given = req.get('x-admin-key') || (auth.startsWith('Bearer ') ? auth.slice(7) : '');
+
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) return res.status(503).json({ error: 'Admin API disabled: set ADMIN_API_KEY' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'Admin API key required' });
+  next();
+}
+
+module.exports = { isAdmin, requireAdmin };
@@ -0,0 +1,192 @@
+const { v4: uuidv4 } = require('uuid');
+const carts = require('./carts');
+const promos = require('./promo_codes');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Cart merge: the line items and discounts of a source cart are added to a target cart and
+// the source's Square order is canceled. Used for any two carts, and when a guest logs in
+// (handoff: the session's cart goes into the customer's cart).
+//   - Lines with the same catalogObjectId (and modifiers) become one line with the quantities
+//     summed; other lines are copied. Stock isn't checked again, both carts already hold it.
+//   - Discounts are copied unless the target already has them (same catalog discount, promo code,
+//     or name and value). Promo codes keep their stacking rules and their pending application
+//     moves with them. Pricing-rule discounts are left to Square.
+//   - The target keeps its customer, or takes the source's when it has none.
+// ops: { getOrder(orderId), updateOrder(orderId, patch), invalidateLinks(orderId), assertOwner(order) }
+// from the server (updateOrderWith), so the usual cart lock, payment link and inventory hold
+// handling applies. The source cart's payment links are deleted before anything moves.
+// assertOwner throws unless the caller may use that cart (its customer's token or the admin key):
+// a merge moves a customer between carts, so both have to be the caller's.
+// ─────────────────────────────────────────────────────────────
+
+// Helper: line items that can be combined share this key (null = always copied)
+function lineKey(li) {
+  if (!li.catalogObjectId) return null;
+  return [li.catalogObjectId, ...(li.modifiers || []).map(m => m.catalogObjectId).sort()].join('|');
+}
+
+// Helper: the fields a copied discount needs (Square recomputes the rest)
+function copyDiscount(d) {
+  if (d.catalogObjectId) {
+    return {
+      uid: d.uid,
+      catalogObjectId: d.catalogObjectId,
+      scope: d.scope,
+      // variable catalog discounts carry the value given when they were applied
+      ...(d.type === 'VARIABLE_PERCENTAGE' && { percentage: d.percentage }),
+      ...(d.type === 'VARIABLE_AMOUNT' && { amountMoney: d.amountMoney })
+    };
+  }
+  return {
+    uid: d.uid,
+    name: d.name,
+    scope: d.scope,
+    ...(d.percentage != null ? { percentage: d.percentage } : { amountMoney: d.amountMoney })
+  };
+}
+
+function sameDiscount(a, b) {
+  if (a.catalogObjectId || b.catalogObjectId) return a.catalogObjectId === b.catalogObjectId;
+  return a.name === b.name && a.percentage === b.percentage && a.amountMoney?.amount === b.amountMoney?.amount;
+}
+
+// Source discounts to move, and those skipped with why
+function pickDiscounts(target, source) {
+  const onTarget = promos.appliedPromos(target);
+  const onSource = promos.appliedPromos(source);
+  const nonStackable = code => promos.getPromo(code)?.stackable === false;
+
+  const moved = [];
+  const skipped = [];
+  for (const d of source.discounts || []) {
+    if (d.pricingRuleId) continue; // Square applies pricing rules to the target itself
+    const skip = reason => skipped.push({ uid: d.uid, name: d.name || null, reason });
+    const promo = onSource.find(a => a.discountUid === d.uid);
+
+    if (promo) {
+      if (onTarget.some(a => a.code === promo.code)) { skip('PROMO_ALREADY_APPLIED'); continue; }
+      if (onTarget.length && (nonStackable(promo.code) || onTarget.some(a => nonStackable(a.code)))) {
+        skip('PROMO_NOT_STACKABLE');
+        continue;
+      }
+      onTarget.push(promo);
+    } else if ((target.discounts || []).some(t => !t.pricingRuleId && sameDiscount(t, d))) {
+      skip('ALREADY_APPLIED');
+      continue;
+    }
+    moved.push(d);
+  }
+  return { moved, skipped };
+}
+
+// UpdateOrder patch that adds the source cart to the target cart.
+// Returns { patch, movedDiscountUids, skippedDiscounts }.
+function mergePatch(target, source) {
+  const { moved, skipped } = pickDiscounts(target, source);
+  const movedUids = moved.map(d => d.uid);
+  const appliedFrom = li => (li.appliedDiscounts || [])
+    .filter(ad => movedUids.includes(ad.discountUid))
+    .map(ad => ({ uid: uuidv4(), discountUid: ad.discountUid }));
+
+  const byKey = new Map();
+  for (const li of target.lineItems || []) {
+    const key = lineKey(li);
+    if (key && !byKey.has(key)) byKey.set(key, li);
+  }
+
+  const updates = new Map(); // target line uid -> patch
+  const added = [];
+  for (const li of source.lineItems || []) {
+    const existing = byKey.get(lineKey(li));
+    if (existing) {
+      const update = updates.get(existing.uid) || {
+        uid: existing.uid,
+        quantity: existing.quantity,
+        appliedDiscounts: (existing.appliedDiscounts || []).map(({ uid, discountUid }) => ({ uid, discountUid }))
+      };
+      update.quantity = String(Number(update.quantity) + Number(li.quantity));
+      update.appliedDiscounts.push(...appliedFrom(li).filter(ad =>
+        !update.appliedDiscounts.some(x => x.discountUid === ad.discountUid)));
+      updates.set(existing.uid, update);
+      continue;
+    }
+    const applied = appliedFrom(li);
+    added.push({
+      uid: uuidv4(),
+      quantity: li.quantity,
+      ...(li.catalogObjectId
+        ? { catalogObjectId: li.catalogObjectId }
+        : { name: li.name, basePriceMoney: li.basePriceMoney }),
+      ...(li.modifiers?.length && { modifiers: li.modifiers.map(m => ({ catalogObjectId: m.catalogObjectId })) }),
+      ...(li.note && { note: li.note }),
+      ...(applied.length && { appliedDiscounts: applied })
+    });
+  }
+
+  const lineItems = [...updates.values(), ...added];
+  const patch = {
+    ...(lineItems.length && { lineItems }),
+    ...(moved.length && { discounts: moved.map(copyDiscount) }),
+    ...(!target.customerId && source.customerId && { customerId: source.customerId })
+  };
+  return { patch, movedDiscountUids: movedUids, skippedDiscounts: skipped };
+}
+
+// Merge sourceOrderId into targetOrderId, then cancel the source order.
+// Returns { order, canceledOrderId, skippedDiscounts }; canceledOrderId is null (with
+// cancelError) when the merge went through but the source order could not be canceled.
+async function mergeCarts(sq, targetOrderId, sourceOrderId, ops) {
+  if (!sourceOrderId) throw httpError(400, 'sourceOrderId required');
+  if (targetOrderId === sourceOrderId) throw httpError(400, 'Cannot merge a cart into itself');
+  carts.assertMutable(targetOrderId);
+  carts.assertMutable(sourceOrderId);
+
+  const [target, source] = await Promise.all([ops.getOrder(targetOrderId), ops.getOrder(sourceOrderId)]);
+  for (const o of [target, source]) {
+    ops.assertOwner(o);
+    if (o.state !== 'OPEN') throw httpError(409, `Order ${o.id} is ${o.state}`, { reason: 'ORDER_NOT_OPEN', orderId: o.id });
+  }
+  if (target.locationId !== source.locationId) {
+    throw httpError(409, 'Carts are at different locations', { reason: 'CART_LOCATION_MISMATCH' });
+  }
+
+  const { patch, movedDiscountUids, skippedDiscounts } = mergePatch(target, source);
+  await ops.invalidateLinks(sourceOrderId);
+  const order = Object.keys(patch).length ? await ops.updateOrder(targetOrderId, patch) : target;
+  promos.moveApplications(sourceOrderId, targetOrderId, movedDiscountUids);
+  for (const { uid } of skippedDiscounts) promos.releaseApplication(sourceOrderId, uid);
+  carts.moveOwners(sourceOrderId, targetOrderId);
+
+  try {
+    await carts.cancelCart(sq, sourceOrderId, 'MERGED');
+  } catch (e) {
+    console.error('merged cart not canceled', sourceOrderId, e?.details || e?.message || e);
+    return { order, canceledOrderId: null, cancelError: e?.details || e?.message, skippedDiscounts };
+  }
+  return { order, canceledOrderId: sourceOrderId, skippedDiscounts };
+}
+
+// Guest logged in as customerId (from the caller's customer token, never the request body): the
+// session's cart becomes the customer's. With no customer
+// cart it just gets the customer, otherwise it is merged into the customer's cart.
+// Returns { order, merged, canceledOrderId?, skippedDiscounts? }; 404 when there is no cart at all.
+async function handoff(sq, { sellerId, sessionId, customerId }, ops) {
+  if (!sessionId || !customerId) throw httpError(400, 'sessionId and customerId required');
+  const guest = carts.currentCart({ sellerId, sessionId });
+  const mine = carts.currentCart({ sellerId, customerId });
+
+  if (!guest || guest.orderId === mine?.orderId) {
+    if (!mine) throw httpError(404, 'No cart for this session or customer');
+    return { order: await ops.getOrder(mine.orderId), merged: false };
+  }
+  if (!mine) {
+    ops.assertOwner(await ops.getOrder(guest.orderId));
+    const order = await ops.updateOrder(guest.orderId, { customerId });
+    carts.claimCart(guest.orderId, { customerId });
+    return { order, merged: false };
+  }
+  return { ...(await mergeCarts(sq, mine.orderId, guest.orderId, ops)), merged: true };
+}
+
+module.exports = { mergePatch, mergeCarts, handoff };
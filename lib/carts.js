@@ -0,0 +1,307 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { readJson, writeJson } = require('./json_file');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Cart lifecycle, kept next to the Square order in DATA_DIR/carts.json:
+//   active ─ checkout (payment link / authorized payment) ─> checkout_pending ─ payment ─> paid
+//   checkout_pending ─ reopen (link deleted, payment canceled) ─> active
+//   active ─ idle CART_ABANDON_MINUTES ─> abandoned ─ any change ─> active
+// checkout_pending carts are never swept: their payment link or card authorization is still
+// live, so they only leave that state through payment, reopen or cancel.
+//   any but paid ─ cancel ─> canceled (the Square order is CANCELED)
+// Cart changes (line items, discounts, customer) are only allowed while the cart is active
+// or abandoned; otherwise 409 CART_LOCKED.
+// Every transition emits `cart.<state>` on `events` with the cart record, e.g.
+//   carts.events.on('cart.abandoned', (cart) => sendReminderEmail(cart))
+// The sweeper checks for idle carts every CART_SWEEP_SECONDS (default 60).
+// Env: CART_ABANDON_MINUTES (default 60, 0 = never abandon), CART_SWEEP_SECONDS
+// Carts created before this existed have no record and are never locked.
+//
+// Owners: a cart can belong to a guest session and/or a customer (per seller). Each owner has
+// one current cart; paid or canceled carts stop being anyone's current cart.
+// ─────────────────────────────────────────────────────────────
+const FILE = 'carts.json';
+const STATES = ['active', 'checkout_pending', 'paid', 'abandoned', 'canceled'];
+const TRANSITIONS = {
+  active: ['checkout_pending', 'paid', 'abandoned', 'canceled'],
+  checkout_pending: ['active', 'paid', 'canceled'],
+  abandoned: ['active', 'checkout_pending', 'paid', 'canceled'],
+  paid: [],
+  canceled: []
+};
+const MUTABLE = ['active', 'abandoned'];
+const CLOSED = ['paid', 'canceled'];
+
+const events = new EventEmitter();
+
+let db = null;
+let sweeper = null;
+
+function abandonMinutes() {
+  return Number(process.env.CART_ABANDON_MINUTES ?? 60);
+}
+
+// carts:  { orderId: { orderId, sellerId, locationId, state, createdAt, updatedAt, lastActivityAt,
+//                      sessionId, customerId, mergedInto?, paymentKey?, history: [{ from, to, reason, at }] } }
+// paymentKey: idempotency key of the card payment holding a checkout_pending cart (kept once paid,
+// so a retry of that payment can be recognized)
+// owners: { "<sellerId|platform>:session:<id>" | "...:customer:<id>": orderId }
+function load() {
+  if (!db) db = { carts: {}, owners: {}, ...readJson(FILE, null) };
+  return db;
+}
+
+function save() {
+  writeJson(FILE, load());
+}
+
+function getCart(orderId) {
+  return load().carts[orderId] || null;
+}
+
+// Record a new cart (Square order as created)
+function trackCart(order, { sellerId } = {}) {
+  const now = new Date().toISOString();
+  const cart = {
+    orderId: order.id,
+    sellerId: sellerId || null,
+    locationId: order.locationId,
+    state: 'active',
+    createdAt: now,
+    updatedAt: now,
+    lastActivityAt: now,
+    sessionId: null,
+    customerId: null,
+    history: []
+  };
+  load().carts[order.id] = cart;
+  save();
+  return cart;
+}
+
+// Move a cart to another state; 409 INVALID_CART_TRANSITION when the lifecycle doesn't allow it.
+// Returns the cart (unchanged when already in that state), or null for an untracked cart.
+function transition(orderId, to, reason) {
+  if (!STATES.includes(to)) throw new Error(`unknown cart state ${to}`);
+  const cart = getCart(orderId);
+  if (!cart || cart.state === to) return cart;
+  if (!TRANSITIONS[cart.state].includes(to)) {
+    throw httpError(409, `Cart is ${cart.state} and cannot become ${to}`, {
+      reason: 'INVALID_CART_TRANSITION',
+      state: cart.state
+    });
+  }
+  const now = new Date().toISOString();
+  cart.history.push({ from: cart.state, to, reason: reason || null, at: now });
+  Object.assign(cart, { state: to, updatedAt: now });
+  if (to !== 'checkout_pending' && to !== 'paid') delete cart.paymentKey;
+  if (CLOSED.includes(to)) dropOwners(orderId);
+  save();
+  events.emit(`cart.${to}`, { ...cart });
+  return cart;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Owners
+// ─────────────────────────────────────────────────────────────
+function ownerKeys({ sellerId, sessionId, customerId } = {}) {
+  const scope = sellerId || 'platform';
+  return [
+    customerId && `${scope}:customer:${customerId}`,
+    sessionId && `${scope}:session:${sessionId}`
+  ].filter(Boolean);
+}
+
+function dropOwners(orderId) {
+  const { owners } = load();
+  for (const [key, id] of Object.entries(owners)) if (id === orderId) delete owners[key];
+}
+
+// Make the cart the current cart of its session and/or customer (replacing any other)
+function claimCart(orderId, { sessionId, customerId } = {}) {
+  const cart = getCart(orderId);
+  if (!cart) return null;
+  const d = load();
+  for (const key of ownerKeys({ sellerId: cart.sellerId, sessionId, customerId })) d.owners[key] = orderId;
+  if (sessionId) cart.sessionId = sessionId;
+  if (customerId) cart.customerId = customerId;
+  save();
+  return cart;
+}
+
+// The cart no longer belongs to its customer (customer removed from the order)
+function releaseCustomer(orderId) {
+  const cart = getCart(orderId);
+  if (!cart?.customerId) return cart;
+  const [key] = ownerKeys({ sellerId: cart.sellerId, customerId: cart.customerId });
+  if (load().owners[key] === orderId) delete load().owners[key];
+  cart.customerId = null;
+  save();
+  return cart;
+}
+
+// Current cart of a customer, else of a session; null when there is none still open
+function currentCart({ sellerId, sessionId, customerId } = {}) {
+  for (const key of ownerKeys({ sellerId, sessionId, customerId })) {
+    const cart = getCart(load().owners[key]);
+    if (cart && !CLOSED.includes(cart.state)) return cart;
+  }
+  return null;
+}
+
+// After a merge: the source cart's owners now own the target, which keeps its own customer
+function moveOwners(fromOrderId, toOrderId) {
+  const from = getCart(fromOrderId);
+  const to = getCart(toOrderId);
+  if (!from || !to) return to;
+  from.mergedInto = toOrderId;
+  claimCart(toOrderId, { sessionId: from.sessionId, customerId: to.customerId ? null : from.customerId });
+  dropOwners(fromOrderId);
+  save();
+  return to;
+}
+
+// Before changing a cart: 409 CART_LOCKED once checkout started (or the cart is closed)
+function assertMutable(orderId) {
+  const cart = getCart(orderId);
+  if (cart && !MUTABLE.includes(cart.state)) {
+    throw httpError(409, `Cart is ${cart.state}; it can no longer be changed`, { reason: 'CART_LOCKED', state: cart.state });
+  }
+}
+
+// After a cart change: note the activity (an abandoned cart becomes active again)
+function touch(orderId) {
+  const cart = getCart(orderId);
+  if (!cart) return null;
+  cart.lastActivityAt = new Date().toISOString();
+  if (cart.state === 'abandoned') return transition(orderId, 'active', 'ACTIVITY');
+  save();
+  return cart;
+}
+
+// Before creating a payment link: 409 INVALID_CART_TRANSITION for a paid/canceled cart,
+// 409 CHECKOUT_IN_PROGRESS while a card payment holds it
+function assertCheckoutAllowed(orderId) {
+  const cart = getCart(orderId);
+  if (cart && cart.state !== 'checkout_pending' && !TRANSITIONS[cart.state].includes('checkout_pending')) {
+    throw httpError(409, `Cart is ${cart.state}`, { reason: 'INVALID_CART_TRANSITION', state: cart.state });
+  }
+  if (cart?.paymentKey) {
+    throw httpError(409, 'A card payment is in progress for this cart', { reason: 'CHECKOUT_IN_PROGRESS' });
+  }
+}
+
+function startCheckout(orderId, reason) {
+  const cart = transition(orderId, 'checkout_pending', reason);
+  if (cart) touch(orderId);
+  return cart;
+}
+
+// Before a card charge: lock the cart (checkout_pending) for this payment so it can't change,
+// or be paid another way, while the card is charged. A retry with the same idempotency key
+// gets through, also once that payment paid the cart (check cart.state === 'paid'); anything
+// else already in checkout (a payment link, another payment) is 409 CHECKOUT_IN_PROGRESS, and
+// a paid/canceled cart 409 INVALID_CART_TRANSITION.
+function lockForPayment(orderId, idempotencyKey) {
+  const cart = getCart(orderId);
+  if (!cart) return null;
+  if (['checkout_pending', 'paid'].includes(cart.state) && cart.paymentKey === idempotencyKey) return cart;
+  if (cart.state === 'checkout_pending') {
+    throw httpError(409, 'Checkout is already in progress for this cart', { reason: 'CHECKOUT_IN_PROGRESS' });
+  }
+  startCheckout(orderId, 'CARD_PAYMENT');
+  cart.paymentKey = idempotencyKey;
+  save();
+  return cart;
+}
+
+// Checkout ended without payment: back to active (no-op unless checkout_pending)
+function reopen(orderId, reason) {
+  return getCart(orderId)?.state === 'checkout_pending' ? transition(orderId, 'active', reason) : getCart(orderId);
+}
+
+// Webhooks/payments: lenient, a closed cart stays as it is
+function markPaid(orderId, reason = 'PAYMENT_COMPLETED') {
+  const cart = getCart(orderId);
+  return cart && TRANSITIONS[cart.state].includes('paid') ? transition(orderId, 'paid', reason) : cart;
+}
+
+function markCanceled(orderId, reason = 'ORDER_CANCELED') {
+  const cart = getCart(orderId);
+  return cart && TRANSITIONS[cart.state].includes('canceled') ? transition(orderId, 'canceled', reason) : cart;
+}
+
+// Helper: pass Square's 4xx through instead of a 500
+function orderErr(e) {
+  if (e?.statusCode >= 400 && e?.statusCode < 500) return httpError(e.statusCode, e.result?.errors || e.message);
+  return e;
+}
+
+// Cancel the Square order (must be OPEN) and close the cart. Returns the canceled order.
+async function cancelCart(sq, orderId, reason = 'CANCELED_BY_API') {
+  const cart = getCart(orderId);
+  if (cart && !TRANSITIONS[cart.state].includes('canceled')) {
+    throw httpError(409, `Cart is ${cart.state} and cannot be canceled`, { reason: 'INVALID_CART_TRANSITION', state: cart.state });
+  }
+  try {
+    const order = (await sq.ordersApi.retrieveOrder(orderId)).result.order;
+    if (order.state !== 'OPEN') throw httpError(409, `Order is ${order.state}`, { reason: 'ORDER_NOT_OPEN', orderState: order.state });
+    const resp = await sq.ordersApi.updateOrder(orderId, {
+      idempotencyKey: uuidv4(),
+      order: { locationId: order.locationId, version: order.version, state: 'CANCELED' }
+    });
+    transition(orderId, 'canceled', reason);
+    return resp.result.order;
+  } catch (e) {
+    throw orderErr(e);
+  }
+}
+
+// Mark carts idle for CART_ABANDON_MINUTES as abandoned; returns them
+function sweep(now = Date.now()) {
+  const minutes = abandonMinutes();
+  if (minutes <= 0) return [];
+  const cutoff = now - minutes * 60 * 1000;
+  return Object.values(load().carts)
+    .filter(c => c.state === 'active' && Date.parse(c.lastActivityAt) < cutoff)
+    .map(c => transition(c.orderId, 'abandoned', 'IDLE'));
+}
+
+// Run the sweeper in the background (once per process)
+function startSweeper() {
+  if (sweeper) return sweeper;
+  const seconds = Number(process.env.CART_SWEEP_SECONDS || 60);
+  sweeper = setInterval(() => {
+    try {
+      sweep();
+    } catch (e) {
+      console.error('cart sweep failed', e?.message || e);
+    }
+  }, seconds * 1000);
+  sweeper.unref();
+  return sweeper;
+}
+
+module.exports = {
+  events,
+  getCart,
+  trackCart,
+  transition,
+  assertMutable,
+  touch,
+  claimCart,
+  releaseCustomer,
+  currentCart,
+  moveOwners,
+  assertCheckoutAllowed,
+  startCheckout,
+  lockForPayment,
+  reopen,
+  markPaid,
+  markCanceled,
+  cancelCart,
+  sweep,
+  startSweeper
+};
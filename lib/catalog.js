@@ -0,0 +1,389 @@
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const { FileWrapper } = require('square');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Catalog management: retrieve, update, delete items/variations, categories, modifier
+// lists and taxes, and upload images.
+// Updates use Square's object versions for optimistic concurrency: send the `version`
+// you read (GET /api/catalog/items/:id); if the object changed since, 409 VERSION_CONFLICT.
+// Item PATCH body:
+// {
+//   "version": 1712345678901,
+//   "name"?, "description"?, "categoryId"?, "modifierListIds"?: [], "taxIds"?: [],
+//   "variations"?: [
+//     { "id": "VAR_ID", "version"?: ..., "name"?, "price"?, "currency"?, "sku"? },   change
+//     { "name": "XL", "price": 2399, "sku": "TS-XL" },                                add
+//     { "id": "VAR_ID", "delete": true }                                              remove
+//   ]
+// }
+// Variations left out of "variations" stay as they are.
+// ─────────────────────────────────────────────────────────────
+const IMAGE_TYPES = ['image/jpeg', 'image/pjpeg', 'image/png', 'image/gif'];
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024; // Square limit
+
+// Helper: pass Square's 4xx through instead of a 500 (a stale version is a 409)
+function catalogErr(e) {
+  if (e?.statusCode >= 400 && e?.statusCode < 500) {
+    const errors = e.result?.errors || e.message;
+    const stale = Array.isArray(errors) && errors.some(x => x.code === 'VERSION_MISMATCH');
+    return stale
+      ? httpError(409, errors, { reason: 'VERSION_CONFLICT' })
+      : httpError(e.statusCode, errors);
+  }
+  return e;
+}
+
+// Helper: catalog object of the given type, or 404
+async function retrieveObject(sq, objectId, type, includeRelatedObjects = false) {
+  let resp;
+  try {
+    resp = await sq.catalogApi.retrieveCatalogObject(objectId, includeRelatedObjects);
+  } catch (e) {
+    throw catalogErr(e);
+  }
+  const object = resp.result.object;
+  if (!object || object.type !== type || object.isDeleted) throw httpError(404, `${type} ${objectId} not found`);
+  return { object, relatedObjects: resp.result.relatedObjects || [] };
+}
+
+// Helper: the caller's version must still be current
+function checkVersion(object, version, what) {
+  if (version == null || version === '') throw httpError(400, `${what}: version required (the version you last read)`);
+  let given;
+  try {
+    given = BigInt(version);
+  } catch {
+    throw httpError(400, `${what}: version must be an integer`);
+  }
+  if (given !== BigInt(object.version)) {
+    throw httpError(409, `${what} was changed since version ${version}`, {
+      reason: 'VERSION_CONFLICT',
+      objectId: object.id,
+      currentVersion: object.version
+    });
+  }
+}
+
+// Helper: apply name/price/currency/sku from a patch to itemVariationData
+function patchVariationData(data, v) {
+  const out = { ...data };
+  if (v.name !== undefined) out.name = v.name;
+  if (v.sku !== undefined) out.sku = v.sku;
+  if (v.price !== undefined || v.currency !== undefined) {
+    const amount = v.price !== undefined ? v.price : data.priceMoney?.amount;
+    if (amount == null || !(Number.isInteger(Number(amount)) && Number(amount) >= 0)) {
+      throw httpError(400, 'variations[].price must be a non-negative integer (minor units)');
+    }
+    out.pricingType = 'FIXED_PRICING';
+    out.priceMoney = { amount: BigInt(amount), currency: v.currency || data.priceMoney?.currency || 'USD' };
+  }
+  return out;
+}
+
+// Helper: validate categoryId / modifierListIds / taxIds on an item body; returns an error message or null
+function validateItemLinks(b = {}) {
+  if (b.categoryId != null && typeof b.categoryId !== 'string') return 'categoryId must be a string';
+  for (const f of ['modifierListIds', 'taxIds']) {
+    if (b[f] != null && !(Array.isArray(b[f]) && b[f].every(id => typeof id === 'string' && id))) {
+      return `${f} must be an array of catalog object ids`;
+    }
+  }
+  return null;
+}
+
+// Helper: itemData fields linking an item to modifier lists and taxes (only the ones given)
+function itemLinkData({ modifierListIds, taxIds } = {}) {
+  const out = {};
+  if (modifierListIds != null) out.modifierListInfo = modifierListIds.map(id => ({ modifierListId: id, enabled: true }));
+  if (taxIds != null) out.taxIds = taxIds;
+  return out;
+}
+
+// Item with its variations, plus related objects (category, taxes, images, ...)
+async function getItem(sq, itemId) {
+  const { object, relatedObjects } = await retrieveObject(sq, itemId, 'ITEM', true);
+  return { item: object, variations: object.itemData?.variations || [], relatedObjects };
+}
+
+// Update an item (and add/change/remove variations) in one versioned upsert
+async function updateItem(sq, itemId, patch = {}) {
+  const { object: current } = await retrieveObject(sq, itemId, 'ITEM');
+  checkVersion(current, patch.version, 'item');
+  if (patch.variations != null && !Array.isArray(patch.variations)) throw httpError(400, 'variations must be an array');
+  if (patch.name !== undefined && !patch.name) throw httpError(400, 'name cannot be empty');
+  const invalidLinks = validateItemLinks(patch);
+  if (invalidLinks) throw httpError(400, invalidLinks);
+
+  const existing = new Map((current.itemData?.variations || []).map(v => [v.id, v]));
+  const changes = new Map();
+  const added = [];
+  for (const v of patch.variations || []) {
+    if (!v || typeof v !== 'object') throw httpError(400, 'variations[] must be objects');
+    if (!v.id) {
+      if (v.delete) throw httpError(400, 'variations[].id required to delete');
+      added.push(v);
+    } else if (!existing.has(v.id)) {
+      throw httpError(404, `ITEM_VARIATION ${v.id} is not a variation of this item`);
+    } else {
+      if (v.version != null) checkVersion(existing.get(v.id), v.version, `variation ${v.id}`);
+      changes.set(v.id, v);
+    }
+  }
+
+  const variations = [
+    ...[...existing.values()]
+      .filter(v => !changes.get(v.id)?.delete)
+      .map(v => (changes.has(v.id)
+        ? { ...v, itemVariationData: patchVariationData(v.itemVariationData, changes.get(v.id)) }
+        : v)),
+    ...added.map(v => ({
+      type: 'ITEM_VARIATION',
+      id: `#${uuidv4()}`,
+      itemVariationData: patchVariationData({ itemId, pricingType: 'FIXED_PRICING' }, v)
+    }))
+  ];
+  if (!variations.length) throw httpError(400, 'an item needs at least one variation');
+
+  const itemData = { ...current.itemData, variations, ...itemLinkData(patch) };
+  for (const f of ['name', 'description', 'categoryId']) {
+    if (patch[f] !== undefined) itemData[f] = patch[f];
+  }
+
+  try {
+    const resp = await sq.catalogApi.upsertCatalogObject({
+      idempotencyKey: uuidv4(),
+      object: { ...current, itemData }
+    });
+    return { item: resp.result.catalogObject, idMappings: resp.result.idMappings || [] };
+  } catch (e) {
+    throw catalogErr(e);
+  }
+}
+
+// Update one variation (body: { version, name?, price?, currency?, sku? })
+async function updateVariation(sq, variationId, patch = {}) {
+  const { object: current } = await retrieveObject(sq, variationId, 'ITEM_VARIATION');
+  checkVersion(current, patch.version, 'variation');
+  try {
+    const resp = await sq.catalogApi.upsertCatalogObject({
+      idempotencyKey: uuidv4(),
+      object: { ...current, itemVariationData: patchVariationData(current.itemVariationData, patch) }
+    });
+    return { variation: resp.result.catalogObject };
+  } catch (e) {
+    throw catalogErr(e);
+  }
+}
+
+// Delete an ITEM (with its variations), ITEM_VARIATION, CATEGORY, MODIFIER_LIST or TAX.
+// Returns { deletedObjectIds, deletedAt }.
+async function deleteObject(sq, objectId, type) {
+  await retrieveObject(sq, objectId, type);
+  try {
+    const resp = await sq.catalogApi.deleteCatalogObject(objectId);
+    return { deletedObjectIds: resp.result.deletedObjectIds || [], deletedAt: resp.result.deletedAt };
+  } catch (e) {
+    throw catalogErr(e);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Categories, modifier lists and taxes
+//   CATEGORY:      { "name": "Shirts" }
+//   MODIFIER_LIST: { "name": "Size", "selectionType": "SINGLE"|"MULTIPLE",
+//                    "modifiers": [{ "name": "Extra shot", "price": 50, "currency"? }] }
+//   TAX:           { "name": "Sales tax", "percentage": "8.5", "inclusionType"?: "ADDITIVE"|"INCLUSIVE", "enabled"? }
+// PATCH takes the same fields plus `version`; modifiers are changed/added/removed like
+// item variations ({ id, ... }, { name, price }, { id, delete: true }).
+// Items link to them with categoryId, modifierListIds and taxIds.
+// ─────────────────────────────────────────────────────────────
+const OBJECT_DATA = { CATEGORY: 'categoryData', MODIFIER_LIST: 'modifierListData', TAX: 'taxData' };
+
+// Helper: validate a category/modifier list/tax body; returns an error message or null
+function validateObjectInput(type, b = {}, { create = false } = {}) {
+  if (!OBJECT_DATA[type]) return `unsupported catalog object type ${type}`;
+  if ((create || b.name !== undefined) && !(typeof b.name === 'string' && b.name)) return 'name required';
+
+  if (type === 'MODIFIER_LIST') {
+    if (b.selectionType != null && !['SINGLE', 'MULTIPLE'].includes(b.selectionType)) return 'selectionType must be SINGLE or MULTIPLE';
+    if (create && !b.modifiers?.length) return 'at least one modifier required';
+    if (b.modifiers != null && !Array.isArray(b.modifiers)) return 'modifiers must be an array';
+    for (const m of b.modifiers || []) {
+      if (!m || typeof m !== 'object') return 'modifiers[] must be objects';
+      if (!m.id && !m.name) return 'modifiers[].name required';
+      if (m.price != null && !(Number.isInteger(m.price) && m.price >= 0)) return 'modifiers[].price must be a non-negative integer (minor units)';
+    }
+  }
+
+  if (type === 'TAX') {
+    const pct = Number(b.percentage);
+    if ((create || b.percentage !== undefined) && (b.percentage == null || b.percentage === '' || !(pct >= 0 && pct <= 100))) {
+      return 'percentage must be a number from 0 to 100';
+    }
+    if (b.inclusionType != null && !['ADDITIVE', 'INCLUSIVE'].includes(b.inclusionType)) return 'inclusionType must be ADDITIVE or INCLUSIVE';
+    if (b.enabled != null && typeof b.enabled !== 'boolean') return 'enabled must be a boolean';
+  }
+  return null;
+}
+
+// Helper: modifiers after applying changes/additions/removals
+function patchModifiers(current = [], changes = []) {
+  const byId = new Map(changes.filter(m => m.id).map(m => [m.id, m]));
+  const unknown = [...byId.keys()].find(id => !current.some(m => m.id === id));
+  if (unknown) throw httpError(404, `MODIFIER ${unknown} is not in this modifier list`);
+
+  const priced = (data, m) => (m.price === undefined ? data : {
+    ...data,
+    priceMoney: m.price == null ? undefined : { amount: BigInt(m.price), currency: m.currency || data.priceMoney?.currency || 'USD' }
+  });
+  return [
+    ...current
+      .filter(m => !byId.get(m.id)?.delete)
+      .map(m => {
+        const c = byId.get(m.id);
+        if (!c) return m;
+        return { ...m, modifierData: priced({ ...m.modifierData, ...(c.name !== undefined && { name: c.name }) }, c) };
+      }),
+    ...changes.filter(m => !m.id).map(m => ({
+      type: 'MODIFIER',
+      id: `#${uuidv4()}`,
+      modifierData: priced({ name: m.name }, m)
+    }))
+  ];
+}
+
+// Helper: <type>Data for an upsert, merged over the current data
+function objectData(type, b, current = {}) {
+  const data = { ...current };
+  if (b.name !== undefined) data.name = b.name;
+
+  if (type === 'MODIFIER_LIST') {
+    data.selectionType = b.selectionType || data.selectionType || 'SINGLE';
+    if (b.modifiers !== undefined) data.modifiers = patchModifiers(current.modifiers, b.modifiers);
+    if (!data.modifiers?.length) throw httpError(400, 'a modifier list needs at least one modifier');
+  }
+
+  if (type === 'TAX') {
+    if (b.percentage !== undefined) data.percentage = String(Number(b.percentage));
+    if (b.inclusionType !== undefined) data.inclusionType = b.inclusionType;
+    if (b.enabled !== undefined) data.enabled = b.enabled;
+    data.calculationPhase = data.calculationPhase || 'TAX_SUBTOTAL_PHASE';
+    data.inclusionType = data.inclusionType || 'ADDITIVE';
+    data.enabled = data.enabled ?? true;
+    data.appliesToCustomAmounts = data.appliesToCustomAmounts ?? true;
+  }
+  return data;
+}
+
+// One page of objects of a type. Returns { objects, cursor }.
+async function listObjects(sq, type, { cursor } = {}) {
+  try {
+    const resp = await sq.catalogApi.listCatalog(cursor, type);
+    return { objects: resp.result.objects || [], cursor: resp.result.cursor || null };
+  } catch (e) {
+    throw catalogErr(e);
+  }
+}
+
+async function getObject(sq, objectId, type) {
+  return { object: (await retrieveObject(sq, objectId, type)).object };
+}
+
+async function createObject(sq, type, body = {}) {
+  const invalid = validateObjectInput(type, body, { create: true });
+  if (invalid) throw httpError(400, invalid);
+  try {
+    const resp = await sq.catalogApi.upsertCatalogObject({
+      idempotencyKey: uuidv4(),
+      object: { type, id: `#${uuidv4()}`, [OBJECT_DATA[type]]: objectData(type, body) }
+    });
+    return { object: resp.result.catalogObject, idMappings: resp.result.idMappings || [] };
+  } catch (e) {
+    throw catalogErr(e);
+  }
+}
+
+// Versioned partial update (body: the fields above plus `version`)
+async function updateObject(sq, objectId, type, patch = {}) {
+  const invalid = validateObjectInput(type, patch);
+  if (invalid) throw httpError(400, invalid);
+  const { object: current } = await retrieveObject(sq, objectId, type);
+  checkVersion(current, patch.version, type.toLowerCase());
+  const field = OBJECT_DATA[type];
+  try {
+    const resp = await sq.catalogApi.upsertCatalogObject({
+      idempotencyKey: uuidv4(),
+      object: { ...current, [field]: objectData(type, patch, current[field]) }
+    });
+    return { object: resp.result.catalogObject, idMappings: resp.result.idMappings || [] };
+  } catch (e) {
+    throw catalogErr(e);
+  }
+}
+
+// Order line item modifiers from selected MODIFIER ids (Square prices and taxes them)
+function lineItemModifiers(modifierIds) {
+  if (modifierIds == null) return undefined;
+  if (!Array.isArray(modifierIds) || !modifierIds.every(id => typeof id === 'string' && id)) {
+    throw httpError(400, 'modifierIds must be an array of MODIFIER ids');
+  }
+  return modifierIds.map(id => ({ uid: uuidv4(), catalogObjectId: id, quantity: '1' }));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Images: multipart/form-data with the file in field "image" (JPEG, PNG or GIF, max 15 MB),
+// optional fields "caption" and "isPrimary" ("true" = show first).
+// ─────────────────────────────────────────────────────────────
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, IMAGE_TYPES.includes(file.mimetype))
+}).single('image');
+
+// Middleware: multer errors become JSON 400/413 like everything else
+function imageUpload(req, res, next) {
+  upload(req, res, err => {
+    if (!err) return next();
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'image larger than 15 MB' : err.message });
+  });
+}
+
+// Attach an uploaded image (multer file) to an item
+async function uploadItemImage(sq, itemId, file, { caption, isPrimary } = {}) {
+  if (!file) throw httpError(400, `image file required (${IMAGE_TYPES.join(', ')})`);
+  await retrieveObject(sq, itemId, 'ITEM');
+  try {
+    const resp = await sq.catalogApi.createCatalogImage(
+      {
+        idempotencyKey: uuidv4(),
+        objectId: itemId,
+        image: { type: 'IMAGE', id: `#${uuidv4()}`, imageData: { name: file.originalname, caption } },
+        isPrimary: isPrimary === true || isPrimary === 'true'
+      },
+      new FileWrapper(Readable.from(file.buffer), { contentType: file.mimetype, filename: file.originalname })
+    );
+    return { image: resp.result.image };
+  } catch (e) {
+    throw catalogErr(e);
+  }
+}
+
+module.exports = {
+  validateItemLinks,
+  itemLinkData,
+  getItem,
+  updateItem,
+  updateVariation,
+  deleteObject,
+  listObjects,
+  getObject,
+  createObject,
+  updateObject,
+  lineItemModifiers,
+  imageUpload,
+  uploadItemImage
+};
@@ -0,0 +1,328 @@
+const { v4: uuidv4 } = require('uuid');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Bulk catalog import/export, one row per variation (CSV with a header line, or JSON rows):
+//   itemName, description, categoryId, variationName, sku, price, currency, variationId
+// price is in minor units (1999 = $19.99), currency defaults to USD. An empty price is a
+// variable-price variation (priced at the register), an empty sku a variation without one.
+// Rows are upserted by variationId, else by SKU, so importing the same file twice changes nothing:
+//   - a known variationId or SKU updates that variation and its item (name, description, category)
+//   - a new SKU is added to the item with the same name, or to a new item
+//   - a row with neither a known variationId nor a SKU is an error (it could only create duplicates)
+// Every row is validated first; bad rows are reported and skipped, the rest are written
+// with BatchUpsertCatalogObjects in chunks within Square's limits.
+// Export writes the same columns (with each variationId), so an export can be edited and imported back.
+// ─────────────────────────────────────────────────────────────
+const COLUMNS = ['itemName', 'description', 'categoryId', 'variationName', 'sku', 'price', 'currency', 'variationId'];
+const MAX_ROWS = 5000;
+const MAX_VARIATIONS_PER_ITEM = 250; // Square limit
+const MAX_OBJECTS_PER_BATCH = 1000; // Square limits: 1,000 objects per batch,
+const MAX_BATCHES_PER_REQUEST = 10; // 10,000 objects per request
+
+// ─────────────────────────────────────────────────────────────
+// CSV (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+// ─────────────────────────────────────────────────────────────
+function parseCsvLines(text) {
+  const lines = [];
+  let line = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      line.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      line.push(field); field = '';
+      lines.push(line); line = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || line.length) { line.push(field); lines.push(line); }
+  return lines.filter(l => l.some(f => f.trim() !== ''));
+}
+
+// Import request body -> rows: CSV text (text/csv), a JSON array, or { "rows": [...] }
+function rowsFromBody(body) {
+  if (typeof body === 'string') return parseCsv(body);
+  const rows = Array.isArray(body) ? body : body?.rows;
+  if (!Array.isArray(rows)) throw httpError(400, 'send CSV (Content-Type: text/csv) or JSON { "rows": [...] }');
+  return rows;
+}
+
+// CSV text -> row objects keyed by the header line
+function parseCsv(text) {
+  const [header, ...lines] = parseCsvLines(String(text || '').replace(/^\uFEFF/, ''));
+  if (!header) throw httpError(400, 'CSV is empty');
+  const names = header.map(h => h.trim());
+  const unknown = names.find(n => !COLUMNS.includes(n));
+  if (unknown) throw httpError(400, `unknown CSV column ${unknown} (columns: ${COLUMNS.join(', ')})`);
+  return lines.map(fields => Object.fromEntries(names.map((n, i) => [n, (fields[i] ?? '').trim()])));
+}
+
+function csvField(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  return [COLUMNS, ...rows.map(r => COLUMNS.map(c => r[c]))].map(l => l.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// ─────────────────────────────────────────────────────────────
+// Import
+// ─────────────────────────────────────────────────────────────
+
+// Helper: normalized row, or { errors } (row numbers are 1-based data rows, header not counted)
+function validateRow(r, row) {
+  if (!r || typeof r !== 'object' || Array.isArray(r)) return { row, errors: ['row must be an object'] };
+  const errors = [];
+  const unknown = Object.keys(r).filter(k => !COLUMNS.includes(k));
+  if (unknown.length) errors.push(`unknown field(s) ${unknown.join(', ')}`);
+  const text = f => (r[f] == null ? '' : String(r[f]).trim());
+
+  const itemName = text('itemName');
+  const sku = text('sku');
+  const variationId = text('variationId');
+  const price = text('price');
+  const currency = (text('currency') || 'USD').toUpperCase();
+  if (!itemName) errors.push('itemName required');
+  if (!sku && !variationId) errors.push('sku or variationId required');
+  if (price && !/^\d+$/.test(price)) errors.push('price must be a non-negative integer (minor units), or empty for a variable price');
+  if (price && !/^[A-Z]{3}$/.test(currency)) errors.push('currency must be an ISO 4217 code (e.g. USD)');
+  if (errors.length) return { row, sku: sku || undefined, errors };
+
+  return {
+    row,
+    itemName,
+    description: text('description') || undefined,
+    categoryId: text('categoryId') || undefined,
+    variationName: text('variationName') || 'Regular',
+    sku,
+    variationId: variationId || undefined,
+    price: price ? BigInt(price) : null,
+    currency
+  };
+}
+
+// Helper: every ITEM in the account (SDK objects, versions included)
+async function listItems(sq) {
+  const items = [];
+  let cursor;
+  do {
+    const resp = await sq.catalogApi.listCatalog(cursor, 'ITEM');
+    items.push(...(resp.result.objects || []).filter(o => !o.isDeleted));
+    cursor = resp.result.cursor;
+  } while (cursor);
+  return items;
+}
+
+function itemCategoryId(item) {
+  return item.itemData?.categoryId || item.itemData?.categories?.[0]?.id;
+}
+
+// Helper: apply a row to itemVariationData; false when nothing changes
+function applyVariationRow(data, r) {
+  const samePrice = r.price === null
+    ? data.pricingType === 'VARIABLE_PRICING' || data.priceMoney?.amount == null
+    : data.pricingType !== 'VARIABLE_PRICING'
+      && data.priceMoney?.currency === r.currency
+      && BigInt(data.priceMoney?.amount ?? -1) === r.price;
+  if (data.name === r.variationName && (data.sku || '') === r.sku && samePrice) return false;
+  Object.assign(data, {
+    name: r.variationName,
+    sku: r.sku || undefined,
+    ...(r.price === null
+      ? { pricingType: 'VARIABLE_PRICING', priceMoney: undefined }
+      : { pricingType: 'FIXED_PRICING', priceMoney: { amount: r.price, currency: r.currency } })
+  });
+  return true;
+}
+
+// Helper: apply the item columns of a row; false when nothing changes
+function applyItemRow(itemData, r) {
+  const same = itemData.name === r.itemName
+    && (r.description === undefined || itemData.description === r.description)
+    && (r.categoryId === undefined || itemData.categoryId === r.categoryId);
+  if (same) return false;
+  itemData.name = r.itemName;
+  if (r.description !== undefined) itemData.description = r.description;
+  if (r.categoryId !== undefined) itemData.categoryId = r.categoryId;
+  return true;
+}
+
+// Helper: group item objects into batches of <= 1,000 objects (item + variations)
+function chunkBatches(objects) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+  for (const o of objects) {
+    const n = 1 + (o.itemData?.variations?.length || 0);
+    if (current.length && size + n > MAX_OBJECTS_PER_BATCH) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(o);
+    size += n;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Import rows (objects as parsed from CSV or JSON).
+// opts: { dryRun? } — validate and plan, but write nothing.
+// Returns { dryRun, summary: { created, updated, unchanged, failed }, rows: [{ row, sku, status, itemId?, variationId?, errors? }] }
+// status: created | updated | unchanged | error
+async function importRows(sq, rows, { dryRun = false } = {}) {
+  if (!Array.isArray(rows) || !rows.length) throw httpError(400, 'at least one row required');
+  if (rows.length > MAX_ROWS) throw httpError(400, `at most ${MAX_ROWS} rows per import`);
+
+  const results = rows.map((r, i) => validateRow(r, i + 1));
+  const seen = new Set();
+  for (const r of results) {
+    if (r.errors) continue;
+    const keys = [r.sku && `sku:${r.sku}`, r.variationId && `id:${r.variationId}`].filter(Boolean);
+    const dup = keys.find(k => seen.has(k));
+    if (dup) r.errors = [dup.startsWith('sku:') ? `duplicate sku ${r.sku} in this import` : `duplicate variationId ${r.variationId} in this import`];
+    keys.forEach(k => seen.add(k));
+  }
+
+  const items = await listItems(sq);
+  const bySku = new Map();
+  const byId = new Map();
+  const byName = new Map();
+  for (const item of items) {
+    byName.set(item.itemData?.name?.toLowerCase(), item);
+    for (const v of item.itemData?.variations || []) {
+      byId.set(v.id, { item, variation: v });
+      if (v.itemVariationData?.sku) bySku.set(v.itemVariationData.sku, { item, variation: v });
+    }
+  }
+
+  // item key (existing id or "#name") -> { object, rows, changed }
+  const touched = new Map();
+  const touch = (key, makeObject) => {
+    if (!touched.has(key)) touched.set(key, { object: makeObject(), rows: [], changed: false });
+    return touched.get(key);
+  };
+
+  for (const r of results) {
+    if (r.errors) continue;
+    // a variationId from another account (or a deleted variation) falls back to the SKU
+    const match = byId.get(r.variationId) || (r.sku ? bySku.get(r.sku) : undefined);
+    if (!match && !r.sku) {
+      r.errors = [`unknown variationId ${r.variationId}; a sku is needed to create the variation`];
+      continue;
+    }
+    const existing = match?.item || byName.get(r.itemName.toLowerCase());
+    const entry = existing
+      ? touch(existing.id, () => structuredClone(existing))
+      : touch(`#${r.itemName.toLowerCase()}`, () => ({
+        type: 'ITEM',
+        id: `#${uuidv4()}`,
+        itemData: { name: r.itemName, description: r.description, categoryId: r.categoryId, variations: [] }
+      }));
+    const itemData = entry.object.itemData;
+    itemData.variations = itemData.variations || [];
+
+    const itemChanged = Boolean(existing) && applyItemRow(itemData, r);
+    if (match) {
+      const variation = itemData.variations.find(v => v.id === match.variation.id);
+      r.status = applyVariationRow(variation.itemVariationData, r) || itemChanged ? 'updated' : 'unchanged';
+      r.variationId = variation.id;
+    } else {
+      if (itemData.variations.length >= MAX_VARIATIONS_PER_ITEM) {
+        r.errors = [`an item can have at most ${MAX_VARIATIONS_PER_ITEM} variations`];
+        continue;
+      }
+      const variation = {
+        type: 'ITEM_VARIATION',
+        id: `#${uuidv4()}`,
+        itemVariationData: { itemId: entry.object.id }
+      };
+      applyVariationRow(variation.itemVariationData, r);
+      itemData.variations.push(variation);
+      r.status = 'created';
+      r.variationId = variation.id;
+    }
+    if (r.status !== 'unchanged') entry.changed = true;
+    r.itemId = entry.object.id;
+    entry.rows.push(r);
+  }
+
+  const toWrite = [...touched.values()].filter(e => e.changed);
+  if (!dryRun && toWrite.length) {
+    const entryFor = new Map(toWrite.map(e => [e.object.id, e]));
+    const batches = chunkBatches(toWrite.map(e => e.object));
+    for (let i = 0; i < batches.length; i += MAX_BATCHES_PER_REQUEST) {
+      const chunk = batches.slice(i, i + MAX_BATCHES_PER_REQUEST);
+      try {
+        const resp = await sq.catalogApi.batchUpsertCatalogObjects({
+          idempotencyKey: uuidv4(),
+          batches: chunk.map(objects => ({ objects }))
+        });
+        const idFor = new Map((resp.result.idMappings || []).map(m => [m.clientObjectId, m.objectId]));
+        for (const objects of chunk) {
+          for (const o of objects) {
+            for (const r of entryFor.get(o.id).rows) {
+              r.itemId = idFor.get(r.itemId) || r.itemId;
+              r.variationId = idFor.get(r.variationId) || r.variationId;
+            }
+          }
+        }
+      } catch (e) {
+        // Square rejects the whole request; report it on every row it carried
+        const errors = e?.result?.errors?.map(x => x.detail || x.code) || [e?.message || String(e)];
+        for (const objects of chunk) {
+          for (const o of objects) {
+            for (const r of entryFor.get(o.id).rows) Object.assign(r, { status: 'error', errors });
+          }
+        }
+      }
+    }
+  }
+
+  const report = results.map(r => (r.errors
+    ? { row: r.row, sku: r.sku, status: 'error', errors: r.errors }
+    : { row: r.row, sku: r.sku, status: r.status, itemId: r.itemId, variationId: r.variationId }));
+  const count = s => report.filter(r => r.status === s).length;
+  return {
+    dryRun,
+    summary: { created: count('created'), updated: count('updated'), unchanged: count('unchanged'), failed: count('error') },
+    rows: report
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Export
+// ─────────────────────────────────────────────────────────────
+
+// Every variation in the account as an import row, sorted by item name
+async function exportRows(sq) {
+  const items = await listItems(sq);
+  items.sort((a, b) => (a.itemData?.name || '').localeCompare(b.itemData?.name || ''));
+  return items.flatMap(item => (item.itemData?.variations || []).map(v => {
+    const d = v.itemVariationData || {};
+    return {
+      itemName: item.itemData.name,
+      description: item.itemData.description || '',
+      categoryId: itemCategoryId(item) || '',
+      variationName: d.name || '',
+      sku: d.sku || '',
+      // empty for variable pricing
+      price: d.pricingType !== 'VARIABLE_PRICING' && d.priceMoney?.amount != null ? Number(d.priceMoney.amount) : '',
+      currency: d.pricingType !== 'VARIABLE_PRICING' ? d.priceMoney?.currency || '' : '',
+      variationId: v.id
+    };
+  }));
+}
+
+module.exports = { COLUMNS, rowsFromBody, parseCsv, toCsv, importRows, exportRows };
@@ -0,0 +1,187 @@
+const { readJson, writeJson } = require('./json_file');
+const inventory = require('./inventory');
+
+// ─────────────────────────────────────────────────────────────
+// Local catalog mirror for storefront reads, one per account ("platform" or a seller's
+// merchant id) in DATA_DIR/catalog_<account>.json.
+// The first read does a full sync (ListCatalog); after that the mirror is refreshed
+// incrementally (SearchCatalogObjects with beginTime, deleted objects included) when it is
+// older than CATALOG_CACHE_TTL_SECONDS (default 300) or a catalog.version.updated webhook
+// arrives. If a refresh fails the last mirror is served.
+// Mirrored types: ITEM (with its variations), CATEGORY, IMAGE, TAX, MODIFIER_LIST.
+// Stock levels for storefront reads are kept next to the mirror, in memory per account and
+// location. A count is reused for STOREFRONT_STOCK_TTL_SECONDS (default 60) and dropped early
+// when an inventory.count.updated webhook reports it changed, or when the catalog is synced
+// (which variations track inventory may have changed).
+// ─────────────────────────────────────────────────────────────
+const TYPES = ['ITEM', 'CATEGORY', 'IMAGE', 'TAX', 'MODIFIER_LIST'];
+
+// account -> { account, syncedAt, refreshedAt, beginTime, objects: { id: CatalogObject } }
+const mirrors = new Map();
+// account -> sync in progress (concurrent reads share it)
+const inflight = new Map();
+// account -> locationId -> variationId -> { qty (null = untracked), at }
+const stock = new Map();
+
+function ttlMs() {
+  return Number(process.env.CATALOG_CACHE_TTL_SECONDS ?? 300) * 1000;
+}
+
+function stockTtlMs() {
+  return Number(process.env.STOREFRONT_STOCK_TTL_SECONDS ?? 60) * 1000;
+}
+
+function fileFor(account) {
+  return `catalog_${String(account).replace(/[^\w-]/g, '_')}.json`;
+}
+
+function load(account) {
+  if (!mirrors.has(account)) {
+    const stored = readJson(fileFor(account), null);
+    if (stored) mirrors.set(account, stored);
+  }
+  return mirrors.get(account) || null;
+}
+
+function save(mirror) {
+  mirrors.set(mirror.account, mirror);
+  writeJson(fileFor(mirror.account), mirror);
+}
+
+// Helper: SDK objects carry BigInt money/versions; the mirror is plain JSON
+function plain(object) {
+  return JSON.parse(JSON.stringify(object, (k, v) => (typeof v === 'bigint' ? Number(v) : v)));
+}
+
+// Helper: put a changed (or deleted) variation into its item
+function applyVariation(objects, v) {
+  const item = objects[v.itemVariationData?.itemId]
+    || Object.values(objects).find(o => o.itemData?.variations?.some(x => x.id === v.id));
+  if (!item) return;
+  const variations = item.itemData.variations || [];
+  const at = variations.findIndex(x => x.id === v.id);
+  if (v.isDeleted) {
+    if (at >= 0) variations.splice(at, 1);
+  } else if (at >= 0) {
+    variations[at] = v;
+  } else {
+    variations.push(v);
+  }
+  item.itemData.variations = variations;
+}
+
+async function fullSync(sq, account) {
+  const startedAt = new Date().toISOString();
+  const objects = {};
+  let cursor;
+  do {
+    const resp = await sq.catalogApi.listCatalog(cursor, TYPES.join(','));
+    for (const o of resp.result.objects || []) objects[o.id] = plain(o);
+    cursor = resp.result.cursor;
+  } while (cursor);
+
+  const mirror = { account, syncedAt: startedAt, refreshedAt: startedAt, beginTime: startedAt, objects };
+  save(mirror);
+  return mirror;
+}
+
+async function incrementalSync(sq, mirror) {
+  const startedAt = new Date().toISOString();
+  const changed = [];
+  let cursor;
+  let latestTime;
+  do {
+    const resp = await sq.catalogApi.searchCatalogObjects({
+      cursor,
+      objectTypes: [...TYPES, 'ITEM_VARIATION'],
+      includeDeletedObjects: true,
+      beginTime: mirror.beginTime
+    });
+    changed.push(...(resp.result.objects || []).map(plain));
+    latestTime = resp.result.latestTime || latestTime;
+    cursor = resp.result.cursor;
+  } while (cursor);
+
+  // items before variations, so a new variation finds its (new) item
+  changed.sort((a, b) => (a.type === 'ITEM_VARIATION') - (b.type === 'ITEM_VARIATION'));
+  for (const o of changed) {
+    if (o.type === 'ITEM_VARIATION') applyVariation(mirror.objects, o);
+    else if (o.isDeleted) delete mirror.objects[o.id];
+    else mirror.objects[o.id] = o;
+  }
+
+  Object.assign(mirror, { refreshedAt: startedAt, beginTime: latestTime || startedAt });
+  save(mirror);
+  return mirror;
+}
+
+// Sync an account's mirror (full when asked or when there is none yet)
+function sync(sq, account, { full = false } = {}) {
+  if (inflight.has(account)) return inflight.get(account);
+  const current = load(account);
+  const run = (full || !current ? fullSync(sq, account) : incrementalSync(sq, current))
+    .finally(() => {
+      inflight.delete(account);
+      stock.delete(account);
+    });
+  inflight.set(account, run);
+  return run;
+}
+
+// Webhook: refresh a mirror we already have (nothing to do for accounts nobody browsed yet)
+function refresh(sq, account) {
+  return load(account) ? sync(sq, account) : null;
+}
+
+// Helper: a mirror fresh enough to read from
+async function mirrorFor(sq, account) {
+  const mirror = load(account);
+  if (!mirror) return sync(sq, account);
+  if (Date.now() - Date.parse(mirror.refreshedAt) > ttlMs()) {
+    try {
+      return await sync(sq, account);
+    } catch (e) {
+      console.error('catalog refresh failed, serving the last mirror', account, e?.message || e);
+    }
+  }
+  return mirror;
+}
+
+function status(account) {
+  const m = load(account);
+  if (!m) return { account, synced: false };
+  const counts = {};
+  for (const o of Object.values(m.objects)) counts[o.type] = (counts[o.type] || 0) + 1;
+  return { account, synced: true, syncedAt: m.syncedAt, refreshedAt: m.refreshedAt, counts };
+}
+
+// Mirrored objects by id, fresh enough to read from (see lib/storefront.js for queries)
+async function objectsFor(sq, account) {
+  return (await mirrorFor(sq, account)).objects;
+}
+
+// IN_STOCK quantity per variation (mirrored ITEM_VARIATION objects) at a location, null for
+// untracked ones; only the counts missing from the cache or too old are read from Square.
+async function stockLevelsFor(sq, account, variations, locationId) {
+  if (!stock.has(account)) stock.set(account, new Map());
+  const byLocation = stock.get(account);
+  if (!byLocation.has(locationId)) byLocation.set(locationId, new Map());
+  const cached = byLocation.get(locationId);
+
+  const now = Date.now();
+  const stale = variations.filter(v => !cached.has(v.id) || now - cached.get(v.id).at > stockTtlMs());
+  if (stale.length) {
+    const levels = await inventory.stockLevelsFor(sq, stale, locationId);
+    for (const [id, qty] of levels) cached.set(id, { qty, at: now });
+  }
+  return new Map(variations.map(v => [v.id, cached.get(v.id)?.qty ?? null]));
+}
+
+// Webhook: counts changed on Square (snake_case inventory_counts); they are read again next time
+function dropStock(account, counts = []) {
+  const byLocation = stock.get(account);
+  if (!byLocation) return;
+  for (const c of counts) byLocation.get(c.location_id)?.delete(c.catalog_object_id);
+}
+
+module.exports = { sync, refresh, status, objectsFor, stockLevelsFor, dropStock };
@@ -0,0 +1,60 @@
+const express = require('express');
+const catalog = require('./catalog');
+const { requireAdmin } = require('./admin_auth');
+const { sqErr } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// CRUD for one catalog object type (CATEGORY, MODIFIER_LIST or TAX; bodies in lib/catalog.js).
+// Both servers mount it at /api/catalog/categories, /modifier-lists and /taxes.
+// clientFor: (req) => Square client whose catalog is used.
+// Reads are public (the storefront needs them); changes need the admin API key.
+// ─────────────────────────────────────────────────────────────
+function catalogObjectRoutes(type, clientFor) {
+  const router = express.Router();
+
+  // List. Query: cursor
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await catalog.listObjects(clientFor(req), type, { cursor: req.query.cursor }));
+    } catch (e) {
+      res.status(e?.status || 500).json(sqErr(e));
+    }
+  });
+
+  router.get('/:objectId', async (req, res) => {
+    try {
+      res.json(await catalog.getObject(clientFor(req), req.params.objectId, type));
+    } catch (e) {
+      res.status(e?.status || 500).json(sqErr(e));
+    }
+  });
+
+  router.post('/', requireAdmin, async (req, res) => {
+    try {
+      res.json(await catalog.createObject(clientFor(req), type, req.body || {}));
+    } catch (e) {
+      res.status(e?.status || 500).json(sqErr(e));
+    }
+  });
+
+  // Partial update with the version last read (409 VERSION_CONFLICT when stale)
+  router.patch('/:objectId', requireAdmin, async (req, res) => {
+    try {
+      res.json(await catalog.updateObject(clientFor(req), req.params.objectId, type, req.body || {}));
+    } catch (e) {
+      res.status(e?.status || 500).json(sqErr(e));
+    }
+  });
+
+  router.delete('/:objectId', requireAdmin, async (req, res) => {
+    try {
+      res.json(await catalog.deleteObject(clientFor(req), req.params.objectId, type));
+    } catch (e) {
+      res.status(e?.status || 500).json(sqErr(e));
+    }
+  });
+
+  return router;
+}
+
+module.exports = { catalogObjectRoutes };
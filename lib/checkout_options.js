@@ -0,0 +1,150 @@
+const { readJson, writeJson } = require('./json_file');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Payment link checkout options
+// Settings (platform default + per seller) live in DATA_DIR/checkout_settings.json:
+// {
+//   "redirectUrl": "https://shop.example/thanks?order={orderId}",   {orderId} = cart id, {sellerId}
+//   "allowTipping": true,
+//   "askForShippingAddress": true,
+//   "shippingFee": { "name": "Standard", "amount": 500 },            minor units, order currency
+//   "customFields": [{ "title": "Gift message" }],                  at most 2
+//   "acceptedPaymentMethods": { "applePay": true, "googlePay": true, "cashAppPay": false, "afterpayClearpay": false },
+//   "merchantSupportEmail": "help@shop.example"
+// }
+// A request can override any of these and add prePopulatedData
+//   { "buyerEmail", "buyerPhoneNumber", "buyerAddress": { addressLine1, locality, postalCode, country, ... } }
+// Precedence: request > seller > platform default > env (CHECKOUT_REDIRECT_URL).
+// ─────────────────────────────────────────────────────────────
+const FILE = 'checkout_settings.json';
+const DEFAULT_REDIRECT_URL = 'https://example.com/thanks';
+const PAYMENT_METHODS = ['applePay', 'googlePay', 'cashAppPay', 'afterpayClearpay'];
+const ADDRESS_FIELDS = [
+  'addressLine1', 'addressLine2', 'addressLine3', 'locality', 'sublocality',
+  'administrativeDistrictLevel1', 'postalCode', 'country', 'firstName', 'lastName'
+];
+const MAX_CUSTOM_FIELDS = 2; // Square limit
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9 ()-]{7,20}$/;
+
+let db = null;
+
+function load() {
+  if (!db) db = readJson(FILE, null) || { default: {}, sellers: {} };
+  return db;
+}
+
+// Helper: fill {orderId}/{sellerId} in a redirect URL
+function expandRedirectUrl(template, { orderId, sellerId } = {}) {
+  return template
+    .replace(/\{orderId\}/g, encodeURIComponent(orderId || ''))
+    .replace(/\{sellerId\}/g, encodeURIComponent(sellerId || ''));
+}
+
+function validUrl(url) {
+  try {
+    const u = new URL(expandRedirectUrl(url, { orderId: 'x', sellerId: 'x' }));
+    return u.protocol === 'https:' || (u.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(u.hostname));
+  } catch {
+    return false;
+  }
+}
+
+// Helper: validate settings (and, for a request, prePopulatedData); returns an error message or null
+function validateCheckoutOptions(o = {}, prePopulatedData) {
+  if (typeof o !== 'object' || Array.isArray(o)) return 'checkoutOptions must be an object';
+  if (o.redirectUrl != null && (typeof o.redirectUrl !== 'string' || !validUrl(o.redirectUrl))) {
+    return 'redirectUrl must be an https URL (http only for localhost)';
+  }
+  for (const f of ['allowTipping', 'askForShippingAddress']) {
+    if (o[f] != null && typeof o[f] !== 'boolean') return `${f} must be a boolean`;
+  }
+  if (o.shippingFee != null) {
+    const sf = o.shippingFee;
+    if (!Number.isInteger(sf?.amount) || sf.amount < 0) return 'shippingFee.amount must be a non-negative integer (minor units)';
+    if (sf.name != null && typeof sf.name !== 'string') return 'shippingFee.name must be a string';
+  }
+  if (o.customFields != null) {
+    if (!Array.isArray(o.customFields) || o.customFields.length > MAX_CUSTOM_FIELDS) {
+      return `customFields must be an array of at most ${MAX_CUSTOM_FIELDS}`;
+    }
+    if (!o.customFields.every(f => typeof f?.title === 'string' && f.title.length && f.title.length <= 50)) {
+      return 'customFields[].title must be 1-50 characters';
+    }
+  }
+  if (o.acceptedPaymentMethods != null) {
+    const m = o.acceptedPaymentMethods;
+    const bad = typeof m !== 'object' ? 'acceptedPaymentMethods'
+      : Object.keys(m).find(k => !PAYMENT_METHODS.includes(k) || typeof m[k] !== 'boolean');
+    if (bad) return `acceptedPaymentMethods takes booleans for ${PAYMENT_METHODS.join(', ')}`;
+  }
+  if (o.merchantSupportEmail != null && !EMAIL_RE.test(String(o.merchantSupportEmail))) {
+    return 'merchantSupportEmail must be an email address';
+  }
+
+  if (prePopulatedData != null) {
+    const p = prePopulatedData;
+    if (typeof p !== 'object') return 'prePopulatedData must be an object';
+    if (p.buyerEmail != null && !EMAIL_RE.test(String(p.buyerEmail))) return 'prePopulatedData.buyerEmail must be an email address';
+    if (p.buyerPhoneNumber != null && !PHONE_RE.test(String(p.buyerPhoneNumber))) {
+      return 'prePopulatedData.buyerPhoneNumber must be a phone number (E.164 preferred)';
+    }
+    if (p.buyerAddress != null) {
+      const a = p.buyerAddress;
+      const bad = typeof a !== 'object' ? 'buyerAddress'
+        : Object.keys(a).find(k => !ADDRESS_FIELDS.includes(k) || typeof a[k] !== 'string');
+      if (bad) return `prePopulatedData.buyerAddress: unknown or non-string field ${bad}`;
+      if (a.country != null && !/^[A-Z]{2}$/.test(a.country)) return 'prePopulatedData.buyerAddress.country must be ISO 3166 alpha-2 (e.g. US)';
+    }
+  }
+  return null;
+}
+
+// Stored settings: sellerId null = platform default
+function getSettings(sellerId) {
+  const d = load();
+  return (sellerId ? d.sellers[sellerId] : d.default) || {};
+}
+
+// Replace stored settings (validated); null/undefined fields are dropped
+function putSettings(sellerId, settings) {
+  const invalid = validateCheckoutOptions(settings);
+  if (invalid) throw httpError(400, invalid);
+  const clean = Object.fromEntries(Object.entries(settings).filter(([, v]) => v != null));
+  const d = load();
+  if (sellerId) d.sellers[sellerId] = clean;
+  else d.default = clean;
+  writeJson(FILE, d);
+  return clean;
+}
+
+// Square checkoutOptions + prePopulatedData for a link.
+// request: { checkoutOptions?, prePopulatedData? }  ctx: { orderId, sellerId, currency }
+function resolveCheckout(request = {}, { orderId, sellerId, currency = 'USD' } = {}) {
+  const invalid = validateCheckoutOptions(request.checkoutOptions || {}, request.prePopulatedData);
+  if (invalid) throw httpError(400, invalid);
+
+  const o = {
+    redirectUrl: process.env.CHECKOUT_REDIRECT_URL || DEFAULT_REDIRECT_URL,
+    ...getSettings(null),
+    ...(sellerId ? getSettings(sellerId) : {}),
+    ...request.checkoutOptions
+  };
+
+  const checkoutOptions = {
+    redirectUrl: expandRedirectUrl(o.redirectUrl, { orderId, sellerId }),
+    allowTipping: o.allowTipping,
+    askForShippingAddress: o.askForShippingAddress,
+    customFields: o.customFields?.map(f => ({ title: f.title })),
+    acceptedPaymentMethods: o.acceptedPaymentMethods,
+    merchantSupportEmail: o.merchantSupportEmail,
+    shippingFee: o.shippingFee
+      ? { name: o.shippingFee.name || 'Shipping', charge: { amount: BigInt(o.shippingFee.amount), currency } }
+      : undefined
+  };
+
+  return { checkoutOptions, prePopulatedData: request.prePopulatedData || undefined };
+}
+
+module.exports = { validateCheckoutOptions, getSettings, putSettings, resolveCheckout };
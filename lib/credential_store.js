@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJson, writeJson } = require('./json_file');
+
+// ─────────────────────────────────────────────────────────────
+// Seller credential store (tokens encrypted at rest, AES-256-GCM)
+//
+// Keys come from env, newest first:
+//   CREDENTIAL_KEYS="k2:<base64 32 bytes>,k1:<base64 32 bytes>"
+//   (or CREDENTIAL_KEY="<base64 32 bytes>" for a single key, id "default")
+// Key rotation: put the new key first and keep the old one listed. Records
+// still sealed with an old key are re-encrypted with the new one on load;
+// after a restart the old key can be dropped.
+//
+// Store interface (synchronous):
+//   list() -> records[]   put(record)   remove(merchantId)
+// CREDENTIAL_STORE=file (default) or a path to a module exporting that interface.
+// ─────────────────────────────────────────────────────────────
+const SECRET_FIELDS = ['accessToken', 'refreshToken'];
+const FILE = 'sellers.json';
+
+function loadKeys() {
+  const raw = process.env.CREDENTIAL_KEYS || (process.env.CREDENTIAL_KEY && `default:${process.env.CREDENTIAL_KEY}`);
+  if (!raw) throw new Error('CREDENTIAL_KEYS (or CREDENTIAL_KEY) is required to store seller tokens');
+
+  const keys = raw.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const i = entry.indexOf(':');
+    const id = entry.slice(0, i);
+    const key = Buffer.from(entry.slice(i + 1), 'base64');
+    if (i < 1 || key.length !== 32) throw new Error(`Credential key "${id || entry}" must be <id>:<base64 of 32 bytes>`);
+    return { id, key };
+  });
+  return { active: keys[0], byId: new Map(keys.map(k => [k.id, k.key])) };
+}
+
+// "v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64 parts)
+function seal(plaintext, { active }) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', active.key, iv);
+  const ct = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return ['v1', active.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ct.toString('base64')].join(':');
+}
+
+function open(sealed, { byId }) {
+  const [version, keyId, iv, tag, ct] = String(sealed).split(':');
+  const key = byId.get(keyId);
+  if (version !== 'v1' || !key) throw new Error(`No credential key "${keyId}" to decrypt a stored seller token`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function keyIdOf(sealed) {
+  return String(sealed).split(':')[1];
+}
+
+// Default store: one JSON file, secret fields sealed
+function fileStore() {
+  let keys;
+  const keyring = () => (keys = keys || loadKeys());
+
+  const readAll = () => readJson(FILE, {});
+
+  function encrypt(record) {
+    const out = { ...record };
+    for (const f of SECRET_FIELDS) if (out[f]) out[f] = seal(out[f], keyring());
+    return out;
+  }
+
+  function decrypt(record) {
+    const out = { ...record };
+    for (const f of SECRET_FIELDS) if (out[f]) out[f] = open(out[f], keyring());
+    return out;
+  }
+
+  return {
+    list() {
+      const all = readAll();
+      const records = Object.values(all).map(decrypt);
+      if (!records.length) return records;
+
+      // Lazy key rotation: re-seal anything not under the active key
+      const { active } = keyring();
+      const stale = Object.values(all).some(r => SECRET_FIELDS.some(f => r[f] && keyIdOf(r[f]) !== active.id));
+      if (stale) writeJson(FILE, Object.fromEntries(records.map(r => [r.merchantId, encrypt(r)])));
+
+      return records;
+    },
+    put(record) {
+      const all = readAll();
+      all[record.merchantId] = encrypt(record);
+      writeJson(FILE, all);
+    },
+    remove(merchantId) {
+      const all = readAll();
+      delete all[merchantId];
+      writeJson(FILE, all);
+    }
+  };
+}
+
+function createCredentialStore() {
+  const kind = process.env.CREDENTIAL_STORE || 'file';
+  if (kind === 'file') return fileStore();
+  return require(path.resolve(kind));
+}
+
+module.exports = { createCredentialStore, fileStore };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { isAdmin } = require('./admin_auth');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Customer sessions: a signed token says which Square customer the caller is.
+// Send it as  x-customer-token: <token>
+// Tokens come from POST /api/customers (for the customer it creates) or, for an existing
+// customer, from POST /api/customers/:customerId/token with the admin key: the store's login
+// backend calls it once it has authenticated the customer.
+// Token: <scope>.<customerId>.<expiresAt ms>.<hmac>, scope = seller id or "platform".
+// Env: CUSTOMER_TOKEN_SECRET (tokens are off while unset), CUSTOMER_TOKEN_HOURS (default 24)
+// ─────────────────────────────────────────────────────────────
+
+function secret() {
+  return process.env.CUSTOMER_TOKEN_SECRET || '';
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+}
+
+// → { customerToken, expiresAt }, or null while CUSTOMER_TOKEN_SECRET is unset
+function issueToken(customerId, { sellerId } = {}) {
+  if (!secret()) return null;
+  const expires = Date.now() + Number(process.env.CUSTOMER_TOKEN_HOURS || 24) * 3600 * 1000;
+  const payload = [sellerId || 'platform', customerId, expires].join('.');
+  return { customerToken: `${payload}.${sign(payload)}`, expiresAt: new Date(expires).toISOString() };
+}
+
+// Helper: the customer id in the request's token; null without one, 401 when it is bad or expired
+function tokenCustomer(req, { sellerId } = {}) {
+  const token = req.get('x-customer-token');
+  if (!token) return null;
+  const parts = token.split('.');
+  const invalid = () => httpError(401, 'Invalid or expired customer token', { reason: 'CUSTOMER_TOKEN_INVALID' });
+  if (!secret() || parts.length !== 4) throw invalid();
+
+  const [scope, customerId, expires, mac] = parts;
+  const a = Buffer.from(mac);
+  const b = Buffer.from(sign(parts.slice(0, 3).join('.')));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw invalid();
+  if (scope !== (sellerId || 'platform') || Number(expires) < Date.now()) throw invalid();
+  return customerId;
+}
+
+// The customer the request acts for. Guests (no token) get null. With the admin key the
+// caller may name any customer (a backend acting for its logged-in user); otherwise a named
+// customerId must be the token's: 401 without a token, 403 for someone else's.
+function customerFor(req, claimed, { sellerId } = {}) {
+  if (claimed && isAdmin(req)) return claimed;
+  const customerId = tokenCustomer(req, { sellerId });
+  if (claimed && !customerId) {
+    throw httpError(401, 'x-customer-token required to act for a customer', { reason: 'CUSTOMER_AUTH_REQUIRED' });
+  }
+  if (claimed && claimed !== customerId) {
+    throw httpError(403, 'Customer token is for another customer', { reason: 'CUSTOMER_MISMATCH' });
+  }
+  return customerId;
+}
+
+// A cart that belongs to a customer can only be used by that customer or an admin: 403 CART_NOT_OWNED
+function assertCustomer(req, customerId, { sellerId } = {}) {
+  if (!customerId || isAdmin(req)) return;
+  if (tokenCustomer(req, { sellerId }) !== customerId) {
+    throw httpError(403, 'This cart belongs to another customer', { reason: 'CART_NOT_OWNED' });
+  }
+}
+
+module.exports = { issueToken, customerFor, assertCustomer };
@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require('uuid');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Square customers: find-or-create by email/phone, update, attach to carts,
+// order history and payment link prefill.
+// Body fields (Square names): givenName, familyName, companyName, emailAddress,
+// phoneNumber, referenceId, note, address { addressLine1, locality, postalCode, country, ... }
+// ─────────────────────────────────────────────────────────────
+const FIELDS = ['givenName', 'familyName', 'companyName', 'nickname', 'emailAddress', 'phoneNumber', 'referenceId', 'note', 'address', 'birthday'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9 ()-]{7,20}$/;
+
+// Helper: pass Square's 4xx (unknown customer, bad field, ...) through instead of a 500
+function customerErr(e) {
+  if (e?.statusCode >= 400 && e?.statusCode < 500) return httpError(e.statusCode, e.result?.errors || e.message);
+  return e;
+}
+
+// Helper: validate create/update input; returns an error message or null
+function validateCustomerInput(b = {}, { create = false } = {}) {
+  const unknown = Object.keys(b).find(k => !FIELDS.includes(k));
+  if (unknown) return `unknown field ${unknown}`;
+  if (create && !b.emailAddress && !b.phoneNumber) return 'emailAddress or phoneNumber required';
+  if (b.emailAddress != null && !EMAIL_RE.test(String(b.emailAddress))) return 'emailAddress must be an email address';
+  if (b.phoneNumber != null && !PHONE_RE.test(String(b.phoneNumber))) return 'phoneNumber must be a phone number (E.164 preferred)';
+  if (b.address != null && typeof b.address !== 'object') return 'address must be an object';
+  return null;
+}
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// Search by exact email/phone, or `q` (fuzzy on email and phone).
+// Returns { customers, cursor }.
+async function searchCustomers(sq, { email, phone, q, limit = 20, cursor } = {}) {
+  const filter = {};
+  if (email) filter.emailAddress = { exact: normalizeEmail(email) };
+  if (phone) filter.phoneNumber = { exact: String(phone).trim() };
+  if (q && !email && !phone) {
+    if (String(q).includes('@')) filter.emailAddress = { fuzzy: String(q).trim() };
+    else filter.phoneNumber = { fuzzy: String(q).trim() };
+  }
+  try {
+    const resp = await sq.customersApi.searchCustomers({
+      limit: BigInt(Math.min(Number(limit) || 20, 100)),
+      cursor,
+      query: Object.keys(filter).length ? { filter, sort: { field: 'CREATED_AT', order: 'DESC' } } : undefined
+    });
+    return { customers: resp.result.customers || [], cursor: resp.result.cursor || null };
+  } catch (e) {
+    throw customerErr(e);
+  }
+}
+
+// Find-or-create: an existing customer with the same email (or, without email, phone)
+// is returned instead of creating a duplicate. Returns { customer, created }.
+// createOnly (public callers, who haven't proven they are that customer): 409 CUSTOMER_EXISTS
+// instead, without anything about the existing record.
+async function upsertCustomer(sq, input, { createOnly = false } = {}) {
+  const body = { ...input };
+  if (body.emailAddress) body.emailAddress = normalizeEmail(body.emailAddress);
+
+  const match = body.emailAddress ? { email: body.emailAddress } : { phone: body.phoneNumber };
+  const { customers } = await searchCustomers(sq, { ...match, limit: 1 });
+  if (customers.length && createOnly) {
+    throw httpError(409, 'A customer with this email address or phone number already exists; sign in as that customer', {
+      reason: 'CUSTOMER_EXISTS'
+    });
+  }
+  if (customers.length) return { customer: customers[0], created: false };
+
+  try {
+    const resp = await sq.customersApi.createCustomer({ idempotencyKey: uuidv4(), ...body });
+    return { customer: resp.result.customer, created: true };
+  } catch (e) {
+    throw customerErr(e);
+  }
+}
+
+async function getCustomer(sq, customerId) {
+  try {
+    return (await sq.customersApi.retrieveCustomer(customerId)).result.customer;
+  } catch (e) {
+    throw customerErr(e);
+  }
+}
+
+// Partial update; null clears a field
+async function updateCustomer(sq, customerId, patch) {
+  const current = await getCustomer(sq, customerId);
+  const body = { ...patch, version: current.version };
+  if (body.emailAddress) body.emailAddress = normalizeEmail(body.emailAddress);
+  try {
+    return (await sq.customersApi.updateCustomer(customerId, body)).result.customer;
+  } catch (e) {
+    throw customerErr(e);
+  }
+}
+
+// Orders for a customer, newest first. Square needs the location ids to search.
+// opts: { locationIds, states?: ['COMPLETED', ...], limit?, cursor? }
+async function orderHistory(sq, customerId, { locationIds, states, limit = 20, cursor } = {}) {
+  if (!locationIds?.length) throw httpError(400, 'locationIds required for order history');
+  try {
+    const resp = await sq.ordersApi.searchOrders({
+      locationIds,
+      cursor,
+      limit: Math.min(Number(limit) || 20, 100),
+      query: {
+        filter: {
+          customerFilter: { customerIds: [customerId] },
+          ...(states?.length ? { stateFilter: { states } } : {})
+        },
+        sort: { sortField: 'CREATED_AT', sortOrder: 'DESC' }
+      }
+    });
+    return { orders: resp.result.orders || [], cursor: resp.result.cursor || null };
+  } catch (e) {
+    throw customerErr(e);
+  }
+}
+
+// prePopulatedData for a payment link from the cart's customer (empty fields left out).
+// Only carts whose customer was created by the caller, or attached with that customer's token
+// or the admin key, have one (see POST /api/cart/:orderId/customer), so a customer matched by
+// someone else's email never ends up here.
+async function prefillFor(sq, customerId) {
+  const c = await getCustomer(sq, customerId);
+  const a = c.address || {};
+  const address = Object.fromEntries(
+    ['addressLine1', 'addressLine2', 'locality', 'administrativeDistrictLevel1', 'postalCode', 'country']
+      .filter(f => a[f])
+      .map(f => [f, a[f]]));
+  if (Object.keys(address).length) {
+    if (c.givenName) address.firstName = c.givenName;
+    if (c.familyName) address.lastName = c.familyName;
+  }
+  return {
+    buyerEmail: c.emailAddress || undefined,
+    buyerPhoneNumber: c.phoneNumber || undefined,
+    buyerAddress: Object.keys(address).length ? address : undefined
+  };
+}
+
+module.exports = {
+  validateCustomerInput,
+  searchCustomers,
+  upsertCustomer,
+  getCustomer,
+  updateCustomer,
+  orderHistory,
+  prefillFor
+};
@@ -0,0 +1,166 @@
+const { v4: uuidv4 } = require('uuid');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Order discounts: order- or line-item-scoped, ad hoc or from catalog
+// DISCOUNT objects, plus catalog pricing rules that Square applies itself
+// when the order has pricingOptions.autoApplyDiscounts.
+// ─────────────────────────────────────────────────────────────
+
+// Pricing options for new carts; AUTO_APPLY_DISCOUNTS=false turns pricing rules off by default,
+// AUTO_APPLY_TAXES=false stops Square adding the items' catalog taxes
+function defaultPricingOptions(overrides = {}) {
+  return {
+    autoApplyDiscounts: overrides.autoApplyDiscounts ?? process.env.AUTO_APPLY_DISCOUNTS !== 'false',
+    autoApplyTaxes: process.env.AUTO_APPLY_TAXES !== 'false'
+  };
+}
+
+// Helper: resolve { lineItemUids, variationIds } to line items on the order.
+// Returns [] when neither is given (= order scope).
+function targetLineItems(order, { lineItemUids, variationIds } = {}) {
+  const lineItems = order.lineItems || [];
+  if (!lineItemUids?.length && !variationIds?.length) return [];
+
+  const missingUid = (lineItemUids || []).find(uid => !lineItems.some(li => li.uid === uid));
+  if (missingUid) throw httpError(404, `line item uid not found: ${missingUid}`);
+
+  const targets = lineItems.filter(li =>
+    (lineItemUids || []).includes(li.uid) || (variationIds || []).includes(li.catalogObjectId));
+  if (!targets.length) throw httpError(404, 'No line items in the cart match variationIds');
+  return targets;
+}
+
+// Line item patch that attaches discountUid, keeping discounts already applied
+function applyToLineItems(lineItems, discountUid) {
+  return lineItems.map(li => ({
+    uid: li.uid,
+    quantity: li.quantity, // required by the SDK even in a sparse update
+    appliedDiscounts: [
+      ...(li.appliedDiscounts || []).map(({ uid, discountUid }) => ({ uid, discountUid })),
+      { uid: uuidv4(), discountUid }
+    ]
+  }));
+}
+
+// fields_to_clear paths that remove one discount, including where line items apply it
+function discountClearPaths(order, discountUid) {
+  const applied = (order.lineItems || []).flatMap(li =>
+    (li.appliedDiscounts || [])
+      .filter(ad => ad.discountUid === discountUid)
+      .map(ad => `line_items[${li.uid}].applied_discounts[${ad.uid}]`));
+  return [...applied, `discounts[${discountUid}]`];
+}
+
+// Build a non-promo discount from the request body:
+//   ad hoc:   { name, type: 'PERCENT'|'FIXED', value, currency? }
+//   catalog:  { catalogDiscountId }  (Square fills in name/percentage/amount)
+// plus optional targeting { lineItemUids?: [], variationIds?: [] } for LINE_ITEM scope.
+// Returns { discount, lineItems } (lineItems = patch for LINE_ITEM scope, else []).
+function buildManualDiscount(order, body = {}) {
+  const { catalogDiscountId, name, type, value, currency } = body;
+  const curr = currency || order?.totalMoney?.currency || 'USD';
+  const uid = uuidv4();
+
+  let discount;
+  if (catalogDiscountId) {
+    discount = { uid, catalogObjectId: catalogDiscountId };
+    // Variable-amount catalog discounts need the value supplied
+    if (type === 'PERCENT' && typeof value === 'number') discount.percentage = String(value);
+    if (type === 'FIXED' && typeof value === 'number') discount.amountMoney = { amount: BigInt(value), currency: curr };
+  } else {
+    if (!name || !['PERCENT', 'FIXED'].includes(type) || typeof value !== 'number') {
+      throw httpError(400, 'promoCode, catalogDiscountId or (name,type,value) required');
+    }
+    discount = type === 'PERCENT'
+      ? { uid, name, percentage: String(value) }
+      : { uid, name, amountMoney: { amount: BigInt(value), currency: curr } };
+  }
+
+  const targets = targetLineItems(order, body);
+  if (!targets.length) return { discount: { ...discount, scope: 'ORDER' }, lineItems: [] };
+  return { discount: { ...discount, scope: 'LINE_ITEM' }, lineItems: applyToLineItems(targets, uid) };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Catalog pricing rules (DISCOUNT + PRODUCT_SET + PRICING_RULE)
+// Body:
+// {
+//   "name": "Summer sale",
+//   "discount": { "type": "PERCENT"|"FIXED", "value": 20, "currency"?: "USD" },
+//   "kind": "SALE" | "BUY_X_GET_Y",
+//   "productIds": ["CATEGORY_ID" | "ITEM_ID" | "VARIATION_ID", ...],
+//   "buyQuantity"?: 2, "getQuantity"?: 1,          BUY_X_GET_Y only
+//   "validFrom"?: "2024-06-01", "validUntil"?: "2024-06-30"
+// }
+// SALE:        discount on any matching product (e.g. category-wide 20% off)
+// BUY_X_GET_Y: buy `buyQuantity`, get `getQuantity` of the same products at the discount
+//              (100% = free, e.g. buy-2-get-1)
+// ─────────────────────────────────────────────────────────────
+function validatePricingRuleInput(b = {}) {
+  if (!b.name) return 'name required';
+  if (!['SALE', 'BUY_X_GET_Y'].includes(b.kind)) return 'kind must be SALE or BUY_X_GET_Y';
+  if (!Array.isArray(b.productIds) || !b.productIds.length) return 'productIds[] required';
+  const d = b.discount || {};
+  if (!['PERCENT', 'FIXED'].includes(d.type) || typeof d.value !== 'number' || d.value <= 0) {
+    return 'discount { type(PERCENT|FIXED), value } required';
+  }
+  if (d.type === 'PERCENT' && d.value > 100) return 'discount value must be <= 100 for PERCENT';
+  if (b.kind === 'BUY_X_GET_Y') {
+    for (const f of ['buyQuantity', 'getQuantity']) {
+      if (!Number.isInteger(b[f] ?? 1) || (b[f] ?? 1) < 1) return `${f} must be a positive integer`;
+    }
+  }
+  for (const f of ['validFrom', 'validUntil']) {
+    if (b[f] != null && !/^\d{4}-\d{2}-\d{2}$/.test(b[f])) return `${f} must be YYYY-MM-DD`;
+  }
+  return null;
+}
+
+// Objects for batchUpsertCatalogObjects (temp "#" ids)
+function buildPricingRuleObjects(b) {
+  const discountId = `#${uuidv4()}`;
+  const matchId = `#${uuidv4()}`;
+  const ruleId = `#${uuidv4()}`;
+
+  const discountData = b.discount.type === 'PERCENT'
+    ? { name: b.name, discountType: 'FIXED_PERCENTAGE', percentage: String(b.discount.value) }
+    : { name: b.name, discountType: 'FIXED_AMOUNT', amountMoney: { amount: BigInt(b.discount.value), currency: b.discount.currency || 'USD' } };
+
+  const objects = [{ type: 'DISCOUNT', id: discountId, discountData }];
+  const pricingRuleData = {
+    name: b.name,
+    discountId,
+    matchProductsId: matchId,
+    validFromDate: b.validFrom,
+    validUntilDate: b.validUntil
+  };
+
+  if (b.kind === 'SALE') {
+    objects.push({ type: 'PRODUCT_SET', id: matchId, productSetData: { name: `${b.name} products`, productIdsAny: b.productIds } });
+  } else {
+    const buy = b.buyQuantity ?? 1;
+    const get = b.getQuantity ?? 1;
+    const applyId = `#${uuidv4()}`;
+    objects.push(
+      // the whole bundle (bought + free) has to be in the cart ...
+      { type: 'PRODUCT_SET', id: matchId, productSetData: { name: `${b.name} bundle`, productIdsAny: b.productIds, quantityExact: BigInt(buy + get) } },
+      // ... and the discount lands on `get` of them
+      { type: 'PRODUCT_SET', id: applyId, productSetData: { name: `${b.name} reward`, productIdsAny: b.productIds, quantityExact: BigInt(get) } }
+    );
+    pricingRuleData.applyProductsId = applyId;
+  }
+
+  objects.push({ type: 'PRICING_RULE', id: ruleId, pricingRuleData });
+  return objects;
+}
+
+module.exports = {
+  defaultPricingOptions,
+  targetLineItems,
+  applyToLineItems,
+  discountClearPaths,
+  buildManualDiscount,
+  validatePricingRuleInput,
+  buildPricingRuleObjects
+};
@@ -0,0 +1,20 @@
+// ─────────────────────────────────────────────────────────────
+// Error helpers shared by both servers
+// Routes respond with: res.status(e?.status || 500).json(sqErr(e))
+// Payloads are redacted so seller tokens never leak into responses.
+// ─────────────────────────────────────────────────────────────
+const { redact } = require('./redact');
+
+// Helper: unify Square API error structure
+function sqErr(e) {
+  if (e?.error === true && e.status) return redact(e); // already an httpError
+  const details = e?.result?.errors || e?.errors || e?.response?.body?.errors || e?.details || e?.message;
+  return { error: true, details: redact(details) };
+}
+
+// Helper: an error with an HTTP status for the route to pass through
+function httpError(status, details, extra = {}) {
+  return { error: true, status, details, ...extra };
+}
+
+module.exports = { sqErr, httpError };
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./json_file');
+
+// ─────────────────────────────────────────────────────────────
+// Platform fee policy (app_fee_money on seller payments and payment links)
+// Read from PLATFORM_FEE_POLICY_FILE or DATA_DIR/fee_policy.json:
+// {
+//   "percent": 2.5,                         % of the order total (half-up to the minor unit)
+//   "fixed": 30 | { "USD": 30, "JPY": 40 },  minor units, added to the percentage
+//   "min": 50 | { ... },  "max": 1000 | { ... },
+//   "sellers": { "<merchantId>": { "percent": 1.5, "fixed": 0 } }   overrides, merged over the above
+// }
+// Amounts are one number for every currency or a map by currency ("*" = any other);
+// a currency missing from the map gets no fixed fee / cap.
+// Without a policy file the old flat PLATFORM_APP_FEE_CENTS (default 200) is used.
+// Whatever the policy says, the fee never exceeds Square's limit of 90% of the total.
+// ─────────────────────────────────────────────────────────────
+const SQUARE_MAX_FEE_SHARE = { num: 9n, den: 10n };
+const FIELDS = ['percent', 'fixed', 'min', 'max'];
+
+let policy = null;
+
+function policyFile() {
+  return process.env.PLATFORM_FEE_POLICY_FILE || path.join(dataDir(), 'fee_policy.json');
+}
+
+// Helper: validate a policy (or seller override); returns an error message or null
+function validatePolicy(p, where = 'fee policy') {
+  if (!p || typeof p !== 'object') return `${where} must be an object`;
+  if (p.percent != null && !(typeof p.percent === 'number' && p.percent >= 0 && p.percent <= 100)) {
+    return `${where}: percent must be a number from 0 to 100`;
+  }
+  for (const f of ['fixed', 'min', 'max']) {
+    const v = p[f];
+    if (v == null) continue;
+    const amounts = typeof v === 'object' ? Object.values(v) : [v];
+    if (!amounts.every(a => Number.isInteger(a) && a >= 0)) {
+      return `${where}: ${f} must be a non-negative integer or a { CURRENCY: integer } map`;
+    }
+  }
+  return null;
+}
+
+function load() {
+  if (policy) return policy;
+  const file = policyFile();
+  if (fs.existsSync(file)) {
+    const p = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const invalid = validatePolicy(p) || Object.entries(p.sellers || {})
+      .map(([id, o]) => validatePolicy(o, `fee policy for seller ${id}`))
+      .find(Boolean);
+    if (invalid) throw new Error(invalid);
+    policy = p;
+  } else {
+    policy = { percent: 0, fixed: Number(process.env.PLATFORM_APP_FEE_CENTS || 200) };
+  }
+  return policy;
+}
+
+// Effective policy for a seller (top level + that seller's overrides)
+function policyFor(sellerId) {
+  const p = load();
+  const base = Object.fromEntries(FIELDS.map(f => [f, p[f]]));
+  return { ...base, ...(sellerId && p.sellers?.[sellerId]) };
+}
+
+// Helper: number-or-map amount for a currency; null when not set
+function amountIn(value, currency) {
+  if (value == null) return null;
+  if (typeof value === 'number') return BigInt(value);
+  const v = value[currency] ?? value['*'];
+  return v == null ? null : BigInt(v);
+}
+
+// Fee for an order total (Money) on a seller's payment.
+// Returns { amountMoney, breakdown } where breakdown explains how the amount was reached
+// (minor units, as numbers); `applied` lists MIN / MAX / SQUARE_LIMIT when a cap kicked in.
+function computeFee(totalMoney, { sellerId } = {}) {
+  const p = policyFor(sellerId);
+  const currency = totalMoney?.currency || 'USD';
+  const total = BigInt(totalMoney?.amount ?? 0);
+
+  const bp = BigInt(Math.round((p.percent || 0) * 100)); // basis points
+  const percentAmount = (total * bp + 5000n) / 10000n;
+  const fixed = amountIn(p.fixed, currency) ?? 0n;
+  const min = amountIn(p.min, currency);
+  const max = amountIn(p.max, currency);
+  const squareLimit = (total * SQUARE_MAX_FEE_SHARE.num) / SQUARE_MAX_FEE_SHARE.den;
+
+  const applied = [];
+  let fee = percentAmount + fixed;
+  if (min != null && fee < min) { fee = min; applied.push('MIN'); }
+  if (max != null && fee > max) { fee = max; applied.push('MAX'); }
+  if (fee > squareLimit) { fee = squareLimit; applied.push('SQUARE_LIMIT'); }
+
+  return {
+    amountMoney: { amount: fee, currency },
+    breakdown: {
+      currency,
+      orderTotal: Number(total),
+      percent: p.percent || 0,
+      percentAmount: Number(percentAmount),
+      fixed: Number(fixed),
+      min: min == null ? null : Number(min),
+      max: max == null ? null : Number(max),
+      squareLimit: Number(squareLimit),
+      applied,
+      fee: Number(fee)
+    }
+  };
+}
+
+module.exports = { validatePolicy, policyFor, computeFee };
@@ -0,0 +1,298 @@
+const { v4: uuidv4 } = require('uuid');
+const { readJson, writeJson } = require('./json_file');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Inventory-aware carts
+// Adding or changing a line item checks Square's IN_STOCK count at the cart's location,
+// minus what other open carts are holding. Too much is rejected (409 INSUFFICIENT_STOCK)
+// or, with onShortage "cap", cut down to what is available.
+// Soft holds (DATA_DIR/inventory_holds.json) keep a cart's quantities for
+// INVENTORY_HOLD_MINUTES (default 15, 0 = no holds); any cart change renews them and
+// they are released when the cart is paid or closed. They never touch Square's counts.
+// Variations that don't track inventory are never limited.
+// Env: INVENTORY_SHORTAGE=reject|cap (default reject), INVENTORY_HOLD_MINUTES
+// ─────────────────────────────────────────────────────────────
+const FILE = 'inventory_holds.json';
+const MAX_COUNT_IDS = 1000; // catalog object ids per BatchRetrieveInventoryCounts call
+
+let db = null;
+
+function holdMinutes() {
+  return Number(process.env.INVENTORY_HOLD_MINUTES ?? 15);
+}
+
+function shortageMode(override) {
+  const mode = override || process.env.INVENTORY_SHORTAGE || 'reject';
+  if (!['reject', 'cap'].includes(mode)) throw httpError(400, 'onShortage must be reject or cap');
+  return mode;
+}
+
+// holds: [{ orderId, variationId, locationId, quantity, expiresAt }]
+function load() {
+  if (!db) db = readJson(FILE, null) || { holds: [] };
+  const now = Date.now();
+  db.holds = db.holds.filter(h => Date.parse(h.expiresAt) > now);
+  return db;
+}
+
+function save() {
+  writeJson(FILE, load());
+}
+
+function holdsFor(orderId) {
+  return load().holds.filter(h => h.orderId === orderId);
+}
+
+function heldByOthers(orderId, variationId, locationId) {
+  return load().holds
+    .filter(h => h.orderId !== orderId && h.variationId === variationId && h.locationId === locationId)
+    .reduce((sum, h) => sum + h.quantity, 0);
+}
+
+// Helper: is inventory tracked for the variation at this location?
+function tracksInventory(obj, locationId) {
+  const v = obj?.itemVariationData;
+  if (!v) return false;
+  const override = (v.locationOverrides || []).find(o => o.locationId === locationId);
+  return Boolean(override?.trackInventory ?? v.trackInventory);
+}
+
+// variationId -> IN_STOCK quantity at the location, or null when not tracked
+async function stockLevels(sq, variationIds, locationId) {
+  const ids = [...new Set(variationIds)];
+  const objects = (await sq.catalogApi.batchRetrieveCatalogObjects({ objectIds: ids })).result.objects || [];
+  const levels = await stockLevelsFor(sq, objects, locationId);
+  for (const id of ids) if (!levels.has(id)) levels.set(id, null);
+  return levels;
+}
+
+// Same, for ITEM_VARIATION objects already at hand (e.g. from the catalog mirror)
+async function stockLevelsFor(sq, variations, locationId) {
+  const tracked = variations.filter(o => tracksInventory(o, locationId)).map(o => o.id);
+
+  const levels = new Map(variations.map(o => [o.id, tracked.includes(o.id) ? 0 : null]));
+  for (let i = 0; i < tracked.length; i += MAX_COUNT_IDS) {
+    let cursor;
+    do {
+      const resp = await sq.inventoryApi.batchRetrieveInventoryCounts({
+        catalogObjectIds: tracked.slice(i, i + MAX_COUNT_IDS),
+        locationIds: [locationId],
+        states: ['IN_STOCK'],
+        cursor
+      });
+      for (const c of resp.result.counts || []) {
+        levels.set(c.catalogObjectId, (levels.get(c.catalogObjectId) || 0) + Number(c.quantity));
+      }
+      cursor = resp.result.cursor;
+    } while (cursor);
+  }
+  return levels;
+}
+
+// Helper: quantity of a variation in the cart, leaving out one line item
+function cartQuantity(order, variationId, exceptUid) {
+  return (order.lineItems || [])
+    .filter(li => li.catalogObjectId === variationId && li.uid !== exceptUid)
+    .reduce((sum, li) => sum + Number(li.quantity), 0);
+}
+
+// Check a line item quantity against stock before it goes on the cart.
+// opts: { variationId, quantity, lineItemUid? (when changing an existing line), onShortage? }
+// Returns { quantity, adjustment } — adjustment is set when the quantity was capped.
+async function checkLineQuantity(sq, order, { variationId, quantity, lineItemUid, onShortage }) {
+  const mode = shortageMode(onShortage);
+  const requested = Number(quantity);
+  const stock = (await stockLevels(sq, [variationId], order.locationId)).get(variationId);
+  if (stock == null) return { quantity: requested, adjustment: null };
+
+  const inOtherLines = cartQuantity(order, variationId, lineItemUid);
+  const available = Math.max(0, stock - heldByOthers(order.id, variationId, order.locationId) - inOtherLines);
+  if (requested <= available) return { quantity: requested, adjustment: null };
+
+  if (mode === 'reject' || available === 0) {
+    throw httpError(409, `Only ${available} available`, { reason: 'INSUFFICIENT_STOCK', variationId, requested, available });
+  }
+  return {
+    quantity: available,
+    adjustment: { lineItemUid, variationId, requested, granted: available, available }
+  };
+}
+
+// Re-hold everything on the (updated) cart for another INVENTORY_HOLD_MINUTES
+function syncHolds(order) {
+  if (holdMinutes() <= 0 || !order?.id) return [];
+  const d = load();
+  d.holds = d.holds.filter(h => h.orderId !== order.id);
+  if (order.state === 'OPEN') {
+    const expiresAt = new Date(Date.now() + holdMinutes() * 60 * 1000).toISOString();
+    const byVariation = new Map();
+    for (const li of order.lineItems || []) {
+      if (!li.catalogObjectId) continue;
+      byVariation.set(li.catalogObjectId, (byVariation.get(li.catalogObjectId) || 0) + Number(li.quantity));
+    }
+    for (const [variationId, quantity] of byVariation) {
+      d.holds.push({ orderId: order.id, variationId, locationId: order.locationId, quantity, expiresAt });
+    }
+  }
+  save();
+  return holdsFor(order.id);
+}
+
+function releaseHolds(orderId) {
+  const d = load();
+  const before = d.holds.length;
+  d.holds = d.holds.filter(h => h.orderId !== orderId);
+  if (d.holds.length !== before) save();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Stock management (seller/admin): set counts, adjust, transfer, history
+//   counts:      [{ variationId, quantity, locationId? }]                  PHYSICAL_COUNT
+//   adjustments: [{ variationId, quantity, kind, locationId? }]            ADJUSTMENT
+//   transfer:    { variationId, quantity, fromLocationId, toLocationId }   TRANSFER
+// kind: RECEIVE (new stock), DAMAGE (written off), SALE (sold outside Square), RETURN (back to stock)
+// ─────────────────────────────────────────────────────────────
+const ADJUSTMENT_KINDS = {
+  RECEIVE: { fromState: 'NONE', toState: 'IN_STOCK' },
+  DAMAGE: { fromState: 'IN_STOCK', toState: 'WASTE' },
+  SALE: { fromState: 'IN_STOCK', toState: 'SOLD' },
+  RETURN: { fromState: 'SOLD', toState: 'IN_STOCK' }
+};
+
+// Helper: pass Square's 4xx (unknown variation, not tracked, ...) through instead of a 500
+function inventoryErr(e) {
+  if (e?.statusCode >= 400 && e?.statusCode < 500) return httpError(e.statusCode, e.result?.errors || e.message);
+  return e;
+}
+
+// Helper: Square wants decimal strings; counts may be 0, adjustments/transfers must be > 0
+function quantityString(q, { allowZero = false } = {}) {
+  const n = Number(q);
+  if (q == null || q === '' || !Number.isFinite(n) || n < 0 || (!allowZero && n === 0)) {
+    throw httpError(400, `quantity must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+  }
+  return String(n);
+}
+
+// Helper: validated body → InventoryChange[]
+function buildChanges(type, items, defaultLocationId) {
+  const list = Array.isArray(items) ? items : [items];
+  if (!list.length || list.some(i => !i || typeof i !== 'object')) throw httpError(400, 'at least one change required');
+  const occurredAt = new Date().toISOString();
+
+  return list.map(i => {
+    if (!i.variationId) throw httpError(400, 'variationId required');
+    if (type === 'TRANSFER') {
+      if (!i.fromLocationId || !i.toLocationId || i.fromLocationId === i.toLocationId) {
+        throw httpError(400, 'fromLocationId and toLocationId (different) required');
+      }
+      return {
+        type,
+        transfer: {
+          catalogObjectId: i.variationId,
+          fromLocationId: i.fromLocationId,
+          toLocationId: i.toLocationId,
+          state: 'IN_STOCK',
+          quantity: quantityString(i.quantity),
+          occurredAt
+        }
+      };
+    }
+
+    const locationId = i.locationId || defaultLocationId;
+    if (!locationId) throw httpError(400, 'locationId required');
+    if (type === 'PHYSICAL_COUNT') {
+      return {
+        type,
+        physicalCount: {
+          catalogObjectId: i.variationId,
+          locationId,
+          state: 'IN_STOCK',
+          quantity: quantityString(i.quantity, { allowZero: true }),
+          occurredAt
+        }
+      };
+    }
+
+    const states = ADJUSTMENT_KINDS[String(i.kind || '').toUpperCase()];
+    if (!states) throw httpError(400, `kind must be one of ${Object.keys(ADJUSTMENT_KINDS).join(', ')}`);
+    return {
+      type: 'ADJUSTMENT',
+      adjustment: { catalogObjectId: i.variationId, locationId, ...states, quantity: quantityString(i.quantity), occurredAt }
+    };
+  });
+}
+
+// Apply changes; returns the resulting counts
+async function applyChanges(sq, changes) {
+  try {
+    const resp = await sq.inventoryApi.batchChangeInventory({
+      idempotencyKey: uuidv4(),
+      changes,
+      ignoreUnchangedCounts: true
+    });
+    return resp.result.counts || [];
+  } catch (e) {
+    throw inventoryErr(e);
+  }
+}
+
+async function setCounts(sq, counts, defaultLocationId) {
+  return applyChanges(sq, buildChanges('PHYSICAL_COUNT', counts, defaultLocationId));
+}
+
+async function adjustStock(sq, adjustments, defaultLocationId) {
+  return applyChanges(sq, buildChanges('ADJUSTMENT', adjustments, defaultLocationId));
+}
+
+async function transferStock(sq, transfer) {
+  return applyChanges(sq, buildChanges('TRANSFER', transfer));
+}
+
+// Counts in every state (IN_STOCK, SOLD, WASTE, ...) for the variations
+async function countsFor(sq, variationIds, locationIds) {
+  try {
+    const counts = [];
+    let cursor;
+    do {
+      const resp = await sq.inventoryApi.batchRetrieveInventoryCounts({ catalogObjectIds: variationIds, locationIds, cursor });
+      counts.push(...(resp.result.counts || []));
+      cursor = resp.result.cursor;
+    } while (cursor);
+    return counts;
+  } catch (e) {
+    throw inventoryErr(e);
+  }
+}
+
+// Change history of a variation, one page at a time.
+// opts: { locationIds?, types?: ['ADJUSTMENT', 'PHYSICAL_COUNT', 'TRANSFER'], updatedAfter?, cursor? }
+async function changeHistory(sq, variationId, { locationIds, types, updatedAfter, cursor } = {}) {
+  try {
+    const resp = await sq.inventoryApi.batchRetrieveInventoryChanges({
+      catalogObjectIds: [variationId],
+      locationIds,
+      types,
+      updatedAfter,
+      cursor
+    });
+    return { changes: resp.result.changes || [], cursor: resp.result.cursor || null };
+  } catch (e) {
+    throw inventoryErr(e);
+  }
+}
+
+module.exports = {
+  stockLevels,
+  stockLevelsFor,
+  checkLineQuantity,
+  syncHolds,
+  releaseHolds,
+  holdsFor,
+  setCounts,
+  adjustStock,
+  transferStock,
+  countsFor,
+  changeHistory
+};
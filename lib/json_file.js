@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─────────────────────────────────────────────────────────────
+// Tiny JSON-file persistence under DATA_DIR (default ./data)
+// Writes go to a temp file first and are renamed into place.
+// ─────────────────────────────────────────────────────────────
+function dataDir() {
+  return path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+}
+
+function readJson(name, fallback) {
+  const file = path.join(dataDir(), name);
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(name, data) {
+  const dir = dataDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { dataDir, readJson, writeJson };
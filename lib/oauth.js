@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { newSquareClient, squareBaseUrl } = require('./square_client');
+
+// ─────────────────────────────────────────────────────────────
+// Square OAuth (authorization code flow) for connected sellers
+// Env:
+//   SQUARE_APPLICATION_ID / SQUARE_APPLICATION_SECRET  (Developer Dashboard → OAuth)
+//   SQUARE_OAUTH_REDIRECT_URL  must match the redirect URL registered with Square
+//   SQUARE_OAUTH_SCOPES        optional, space or comma separated
+// ─────────────────────────────────────────────────────────────
+const STATE_COOKIE = 'sq_oauth_state';
+const STATE_TTL_MS = 10 * 60 * 1000; // seller has 10 minutes to finish the consent screen
+
+const DEFAULT_SCOPES = [
+  'MERCHANT_PROFILE_READ',
+  'ITEMS_READ',
+  'ITEMS_WRITE',
+  'INVENTORY_READ',
+  'INVENTORY_WRITE',
+  'ORDERS_READ',
+  'ORDERS_WRITE',
+  'CUSTOMERS_READ',
+  'CUSTOMERS_WRITE',
+  'PAYMENTS_READ',
+  'PAYMENTS_WRITE',
+  'PAYMENTS_WRITE_ADDITIONAL_RECIPIENTS' // required to collect app_fee_money
+];
+
+// state -> expiresAt (ms). Single use: removed once the callback consumes it.
+const pendingStates = new Map();
+
+function oauthConfig() {
+  const clientId = process.env.SQUARE_APPLICATION_ID;
+  const clientSecret = process.env.SQUARE_APPLICATION_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new Error('SQUARE_APPLICATION_ID and SQUARE_APPLICATION_SECRET are required for seller OAuth');
+  }
+  const scopes = process.env.SQUARE_OAUTH_SCOPES
+    ? process.env.SQUARE_OAUTH_SCOPES.split(/[\s,]+/).filter(Boolean)
+    : DEFAULT_SCOPES;
+  return { clientId, clientSecret, redirectUri: process.env.SQUARE_OAUTH_REDIRECT_URL, scopes };
+}
+
+// Helper: new random CSRF state, remembered until it expires or is used
+function createState() {
+  const now = Date.now();
+  for (const [s, exp] of pendingStates) if (exp <= now) pendingStates.delete(s);
+
+  const state = crypto.randomBytes(24).toString('hex');
+  pendingStates.set(state, now + STATE_TTL_MS);
+  return state;
+}
+
+// Helper: state must be one we issued, unexpired, and match the browser's cookie
+function consumeState(state, cookieState) {
+  if (!state || !cookieState) return false;
+  const exp = pendingStates.get(state);
+  pendingStates.delete(state);
+  if (!exp || exp <= Date.now()) return false;
+
+  const a = Buffer.from(String(state));
+  const b = Buffer.from(String(cookieState));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function authorizeUrl(state) {
+  const { clientId, redirectUri, scopes } = oauthConfig();
+  const params = new URLSearchParams({
+    client_id: clientId,
+    scope: scopes.join(' '),
+    session: 'false',
+    state
+  });
+  if (redirectUri) params.set('redirect_uri', redirectUri);
+  return `${squareBaseUrl()}/oauth2/authorize?${params}`;
+}
+
+// Exchange the authorization code for seller credentials.
+// Returns { accessToken, refreshToken, expiresAt, merchantId, locationId }
+async function exchangeCode(code) {
+  const { clientId, clientSecret, redirectUri } = oauthConfig();
+  const { oAuthApi } = newSquareClient();
+
+  const resp = await oAuthApi.obtainToken({
+    clientId,
+    clientSecret,
+    code,
+    redirectUri,
+    grantType: 'authorization_code'
+  });
+  const { accessToken, refreshToken, expiresAt, merchantId } = resp.result;
+
+  // Default location = the seller's main location
+  const { locationsApi } = newSquareClient(accessToken);
+  const loc = await locationsApi.retrieveLocation('main');
+
+  return { accessToken, refreshToken, expiresAt, merchantId, locationId: loc.result.location?.id };
+}
+
+// Trade a refresh token for a new access token.
+// Square may or may not rotate the refresh token; keep the old one if not.
+// Returns { accessToken, refreshToken, expiresAt, merchantId }
+async function refreshAccessToken(refreshToken) {
+  const { clientId, clientSecret } = oauthConfig();
+  const { oAuthApi } = newSquareClient();
+
+  const resp = await oAuthApi.obtainToken({
+    clientId,
+    clientSecret,
+    refreshToken,
+    grantType: 'refresh_token'
+  });
+  const r = resp.result;
+  return {
+    accessToken: r.accessToken,
+    refreshToken: r.refreshToken || refreshToken,
+    expiresAt: r.expiresAt,
+    merchantId: r.merchantId
+  };
+}
+
+module.exports = {
+  STATE_COOKIE,
+  STATE_TTL_MS,
+  createState,
+  consumeState,
+  authorizeUrl,
+  exchangeCode,
+  refreshAccessToken
+};
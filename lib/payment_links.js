@@ -0,0 +1,317 @@
+const { v4: uuidv4 } = require('uuid');
+const { readJson, writeJson } = require('./json_file');
+const { httpError } = require('./errors');
+const { defaultPricingOptions } = require('./discounts');
+const { paymentErr } = require('./payments');
+const checkoutOpts = require('./checkout_options');
+
+// ─────────────────────────────────────────────────────────────
+// Hosted payment links built from the real cart.
+// CreatePaymentLink can't take an existing order id, so the cart is cloned with its
+// catalog references, modifiers, discounts and taxes (same uids), Square prices the
+// clone, and the link is refused when its total differs from the calculated cart.
+// Links are mapped back to the cart in DATA_DIR/payment_links.json:
+//   linkId -> { linkId, cartOrderId, cartVersion, linkOrderId, sellerId, url, totalMoney,
+//               status: 'ACTIVE'|'PAID'|'INVALIDATED'|'DELETED', createdAt, updatedAt,
+//               paidAt?, paymentId?, invalidatedAt?, invalidReason? }
+// A link is deleted on Square (INVALIDATED) before its cart changes, so nobody can pay a
+// stale amount; a cart has at most one ACTIVE link (a new one replaces the old, and the
+// others go once one is paid).
+// ─────────────────────────────────────────────────────────────
+const FILE = 'payment_links.json';
+
+let db = null;
+
+function load() {
+  if (!db) db = readJson(FILE, null) || { links: {} };
+  return db;
+}
+
+function save() {
+  writeJson(FILE, load());
+}
+
+function getLink(linkId) {
+  return load().links[linkId] || null;
+}
+
+// Newest first
+function linksForCart(cartOrderId) {
+  return Object.values(load().links)
+    .filter(l => l.cartOrderId === cartOrderId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Cart order id for an order created by one of our links (payment webhooks carry that id)
+function cartOrderIdFor(orderId) {
+  const link = Object.values(load().links).find(l => l.linkOrderId === orderId);
+  return link ? link.cartOrderId : null;
+}
+
+// Helper: discount/tax as the cart has it, minus the fields Square computes
+function cloneAdjustment(a, variableTypes) {
+  const out = { uid: a.uid, scope: a.scope };
+  if (a.catalogObjectId) {
+    Object.assign(out, { catalogObjectId: a.catalogObjectId, catalogVersion: a.catalogVersion });
+    // only variable catalog discounts carry their value on the order
+    if (variableTypes.includes(a.type)) Object.assign(out, { percentage: a.percentage, amountMoney: a.amountMoney });
+  } else {
+    Object.assign(out, { name: a.name, percentage: a.percentage, amountMoney: a.amountMoney });
+  }
+  return out;
+}
+
+// Order body for CreatePaymentLink from a cart (Order as returned by Square).
+// Discounts from pricing rules and auto-applied taxes are left to Square, which
+// re-applies them because pricingOptions is carried over.
+function linkOrderFromCart(cart) {
+  const pricingOptions = cart.pricingOptions || defaultPricingOptions();
+  const discounts = (cart.discounts || [])
+    .filter(d => !d.pricingRuleId)
+    .map(d => cloneAdjustment(d, ['VARIABLE_PERCENTAGE', 'VARIABLE_AMOUNT']));
+  const taxes = (cart.taxes || [])
+    .filter(t => !(t.autoApplied && pricingOptions.autoApplyTaxes))
+    .map(t => ({ ...cloneAdjustment(t, []), type: t.catalogObjectId ? undefined : t.type }));
+  const discountUids = new Set(discounts.map(d => d.uid));
+  const taxUids = new Set(taxes.map(t => t.uid));
+
+  const lineItems = (cart.lineItems || []).map(li => ({
+    uid: li.uid,
+    quantity: li.quantity,
+    itemType: li.itemType,
+    note: li.note,
+    ...(li.catalogObjectId
+      ? { catalogObjectId: li.catalogObjectId, catalogVersion: li.catalogVersion }
+      : { name: li.name, basePriceMoney: li.basePriceMoney }),
+    modifiers: li.modifiers?.map(m => (m.catalogObjectId
+      ? { uid: m.uid, catalogObjectId: m.catalogObjectId, catalogVersion: m.catalogVersion, quantity: m.quantity }
+      : { uid: m.uid, name: m.name, basePriceMoney: m.basePriceMoney, quantity: m.quantity })),
+    appliedDiscounts: (li.appliedDiscounts || [])
+      .filter(ad => discountUids.has(ad.discountUid))
+      .map(({ uid, discountUid }) => ({ uid, discountUid })),
+    appliedTaxes: (li.appliedTaxes || [])
+      .filter(at => taxUids.has(at.taxUid))
+      .map(({ uid, taxUid }) => ({ uid, taxUid }))
+  }));
+
+  const serviceCharges = (cart.serviceCharges || []).map(sc => ({
+    uid: sc.uid,
+    name: sc.name,
+    catalogObjectId: sc.catalogObjectId,
+    percentage: sc.percentage,
+    amountMoney: sc.amountMoney,
+    calculationPhase: sc.calculationPhase,
+    taxable: sc.taxable
+  }));
+
+  return {
+    locationId: cart.locationId,
+    customerId: cart.customerId,
+    referenceId: cart.id, // our cart order id
+    lineItems,
+    discounts,
+    taxes,
+    serviceCharges,
+    pricingOptions
+  };
+}
+
+function sameMoney(a, b) {
+  return a?.currency === b?.currency && BigInt(a?.amount ?? 0) === BigInt(b?.amount ?? 0);
+}
+
+// Create a link for a cart.
+// opts: { sellerId?, checkoutOptions?, prePopulatedData?, appFee?: (totalMoney) => Money }
+// (checkoutOptions/prePopulatedData as built by lib/checkout_options.js)
+// Returns { paymentLink, cartTotal, linkOrder }. 409 TOTAL_MISMATCH (and no link) when
+// Square prices the link's order differently from the cart (plus any shipping fee).
+async function createLinkForCart(sq, cartOrderId, opts = {}) {
+  const cart = (await sq.ordersApi.retrieveOrder(cartOrderId)).result.order;
+  if (!cart.lineItems?.length) throw httpError(400, 'Cart is empty');
+
+  const calculated = (await sq.ordersApi.calculateOrder({
+    order: { ...cart, pricingOptions: cart.pricingOptions || defaultPricingOptions() }
+  })).result.order;
+  const cartTotal = calculated.totalMoney;
+
+  // one payable link per cart, or the buyer could pay twice
+  await invalidateForCart(() => sq, cartOrderId, { reason: 'REPLACED' });
+
+  const checkoutOptions = { ...opts.checkoutOptions };
+  const resp = await sq.checkoutApi.createPaymentLink({
+    idempotencyKey: uuidv4(),
+    order: linkOrderFromCart(cart),
+    checkoutOptions: { ...checkoutOptions, appFeeMoney: opts.appFee ? opts.appFee(cartTotal) : undefined },
+    prePopulatedData: opts.prePopulatedData
+  });
+  const paymentLink = resp.result.paymentLink;
+  const linkOrder = resp.result.relatedResources?.orders?.[0]
+    || (await sq.ordersApi.retrieveOrder(paymentLink.orderId)).result.order;
+
+  // Square adds the shipping fee to the link's order
+  const expected = {
+    amount: BigInt(cartTotal.amount) + BigInt(checkoutOptions.shippingFee?.charge?.amount ?? 0),
+    currency: cartTotal.currency
+  };
+  if (!sameMoney(linkOrder.totalMoney, expected)) {
+    await sq.checkoutApi.deletePaymentLink(paymentLink.id).catch(() => {});
+    throw httpError(409, 'Payment link total does not match the cart', {
+      reason: 'TOTAL_MISMATCH',
+      cartTotal,
+      expectedTotal: expected,
+      linkTotal: linkOrder.totalMoney
+    });
+  }
+
+  const now = new Date().toISOString();
+  load().links[paymentLink.id] = {
+    linkId: paymentLink.id,
+    cartOrderId,
+    cartVersion: cart.version,
+    linkOrderId: paymentLink.orderId,
+    sellerId: opts.sellerId || null,
+    url: paymentLink.url,
+    totalMoney: { amount: Number(cartTotal.amount), currency: cartTotal.currency },
+    status: 'ACTIVE',
+    createdAt: now,
+    updatedAt: now
+  };
+  save();
+
+  return { paymentLink, cartTotal, linkOrder };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Lifecycle
+// ─────────────────────────────────────────────────────────────
+
+// Helper: update our record of a link
+function setStatus(linkId, status, extra = {}) {
+  const link = getLink(linkId);
+  if (!link) return null;
+  Object.assign(link, extra, { status, updatedAt: new Date().toISOString() });
+  save();
+  return link;
+}
+
+// Page of links from Square, each with our record (null for links made elsewhere)
+async function listLinks(sq, { cursor, limit } = {}) {
+  try {
+    const resp = await sq.checkoutApi.listPaymentLinks(cursor, limit ? Number(limit) : undefined);
+    const links = (resp.result.paymentLinks || []).map(pl => ({ paymentLink: pl, record: getLink(pl.id) }));
+    return { links, cursor: resp.result.cursor || null };
+  } catch (e) {
+    throw paymentErr(e);
+  }
+}
+
+async function retrieveLink(sq, linkId) {
+  try {
+    const paymentLink = (await sq.checkoutApi.retrievePaymentLink(linkId)).result.paymentLink;
+    return { paymentLink, record: getLink(linkId) };
+  } catch (e) {
+    throw paymentErr(e);
+  }
+}
+
+// patch: { checkoutOptions?, prePopulatedData?, description?, paymentNote? }, checkoutOptions
+// in this API's format: resolved like at creation (seller/platform defaults, {orderId}/{sellerId}
+// in redirectUrl, shippingFee in the cart's currency), 400 when invalid.
+// (Square can't change a link's order; create a new link for that)
+async function updateLink(sq, linkId, patch) {
+  const record = getLink(linkId);
+  if (record && record.status !== 'ACTIVE') throw httpError(409, `Payment link is ${record.status}`);
+  const { checkoutOptions, prePopulatedData, description, paymentNote } = patch;
+  try {
+    const current = (await sq.checkoutApi.retrievePaymentLink(linkId)).result.paymentLink;
+    const checkout = checkoutOpts.resolveCheckout({ checkoutOptions, prePopulatedData }, {
+      orderId: record?.cartOrderId || current.orderId,
+      sellerId: record?.sellerId || undefined,
+      currency: record?.totalMoney?.currency
+    });
+    const resp = await sq.checkoutApi.updatePaymentLink(linkId, {
+      paymentLink: {
+        version: current.version,
+        ...(checkoutOptions && { checkoutOptions: checkout.checkoutOptions }),
+        prePopulatedData: checkout.prePopulatedData,
+        description,
+        paymentNote
+      }
+    });
+    return { paymentLink: resp.result.paymentLink, record };
+  } catch (e) {
+    throw paymentErr(e);
+  }
+}
+
+async function deleteLink(sq, linkId) {
+  try {
+    await sq.checkoutApi.deletePaymentLink(linkId);
+  } catch (e) {
+    throw paymentErr(e);
+  }
+  return setStatus(linkId, 'DELETED') || { linkId, status: 'DELETED' };
+}
+
+// The cart is changing: delete its ACTIVE links on Square. With cartVersion (from an
+// order.updated webhook) only links made from an older version are affected.
+// clientForLink: (link) => Square client that owns the link.
+// A failed delete leaves the link ACTIVE (with invalidateError) and throws 502
+// LINK_INVALIDATION_FAILED after trying the others, so the caller doesn't go ahead
+// (and a webhook gets retried).
+async function invalidateForCart(clientForLink, cartOrderId, { reason = 'CART_CHANGED', cartVersion } = {}) {
+  const stale = linksForCart(cartOrderId).filter(l =>
+    l.status === 'ACTIVE' && (cartVersion == null || l.cartVersion == null || l.cartVersion < cartVersion));
+
+  const out = [];
+  const failed = [];
+  for (const link of stale) {
+    try {
+      await clientForLink(link).checkoutApi.deletePaymentLink(link.linkId);
+    } catch (e) {
+      if (e?.statusCode !== 404) {
+        setStatus(link.linkId, 'ACTIVE', { invalidateError: e?.message || String(e) });
+        console.error('payment link invalidation failed', link.linkId, e?.message || e);
+        failed.push(link.linkId);
+        continue;
+      }
+    }
+    out.push(setStatus(link.linkId, 'INVALIDATED', {
+      invalidatedAt: new Date().toISOString(),
+      invalidReason: reason,
+      invalidateError: undefined
+    }));
+  }
+  if (failed.length) {
+    throw httpError(502, 'Could not delete the cart\'s payment link on Square; try again', {
+      reason: 'LINK_INVALIDATION_FAILED',
+      linkIds: failed
+    });
+  }
+  return out;
+}
+
+// Payment webhook (snake_case payment object): mark the link whose order was paid and
+// delete the cart's other ACTIVE links. clientForLink as for invalidateForCart.
+async function markPaid(payment, clientForLink) {
+  if (payment?.status !== 'COMPLETED' || !payment.order_id) return null;
+  const link = Object.values(load().links).find(l => l.linkOrderId === payment.order_id);
+  if (!link || link.status === 'PAID') return link || null;
+  setStatus(link.linkId, 'PAID', { paidAt: new Date().toISOString(), paymentId: payment.id });
+  if (clientForLink) await invalidateForCart(clientForLink, link.cartOrderId, { reason: 'CART_PAID' });
+  return link;
+}
+
+module.exports = {
+  getLink,
+  linksForCart,
+  cartOrderIdFor,
+  linkOrderFromCart,
+  createLinkForCart,
+  listLinks,
+  retrieveLink,
+  updateLink,
+  deleteLink,
+  invalidateForCart,
+  markPaid
+};
@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// On-site card payments (Web Payments SDK token → CreatePayment)
+// The amount always comes from the Square order, never from the client.
+// ─────────────────────────────────────────────────────────────
+const MAX_IDEMPOTENCY_KEY = 45; // CreatePayment limit
+
+// Helper: caller-supplied idempotency key (Idempotency-Key header or body), else a fresh one.
+// Reusing the same key for a retry returns the original payment instead of charging twice.
+function idempotencyKeyFrom(req) {
+  const key = req.get('idempotency-key') || req.body?.idempotencyKey;
+  if (key == null) return uuidv4();
+  if (typeof key !== 'string' || !key.length || key.length > MAX_IDEMPOTENCY_KEY) {
+    throw httpError(400, `idempotencyKey must be 1-${MAX_IDEMPOTENCY_KEY} characters`);
+  }
+  return key;
+}
+
+// Helper: pass Square's 4xx (card declined, bad token, ...) through instead of a 500
+function paymentErr(e) {
+  if (e?.statusCode >= 400 && e?.statusCode < 500) return httpError(e.statusCode, e.result?.errors || e.message);
+  return e;
+}
+
+// Charge the order's total.
+// opts: { orderId, sourceId, idempotencyKey, autocomplete, note, verificationToken,
+//         buyerEmailAddress, expectedAmount?, appFee?: (order) => Money, paid? }
+// expectedAmount (minor units) guards against paying for a cart that changed under the buyer.
+// appFee is only for payments taken on a connected seller's account.
+// paid: the order was already paid with this idempotencyKey (a retry after a lost response),
+// so it is no longer OPEN; CreatePayment with the same key returns that payment.
+async function chargeOrder(sq, opts) {
+  const { orderId, sourceId, idempotencyKey, autocomplete = true, expectedAmount, appFee, paid = false } = opts;
+  if (expectedAmount != null && !/^\d+$/.test(String(expectedAmount))) {
+    throw httpError(400, 'expectedAmount must be a non-negative integer (minor units)');
+  }
+
+  const order = (await sq.ordersApi.retrieveOrder(orderId)).result.order;
+  if (order.state !== 'OPEN' && !paid) throw httpError(409, `Order is ${order.state}, not OPEN`);
+
+  const total = order.totalMoney;
+  if (!total?.amount || BigInt(total.amount) <= 0n) throw httpError(400, 'Order has no total to charge');
+  if (expectedAmount != null && BigInt(expectedAmount) !== BigInt(total.amount)) {
+    throw httpError(409, 'Order total changed', { reason: 'AMOUNT_MISMATCH', totalMoney: total });
+  }
+
+  try {
+    const resp = await sq.paymentsApi.createPayment({
+      idempotencyKey,
+      sourceId,                      // token from Web Payments SDK (frontend)
+      amountMoney: total,            // charge exact cart total
+      orderId,
+      locationId: order.locationId,
+      customerId: order.customerId,
+      autocomplete,                  // false = authorize now, complete/cancel later
+      appFeeMoney: appFee ? appFee(order) : undefined,
+      verificationToken: opts.verificationToken,
+      buyerEmailAddress: opts.buyerEmailAddress,
+      note: opts.note
+    });
+    return resp.result.payment;
+  } catch (e) {
+    throw paymentErr(e);
+  }
+}
+
+// Capture a delayed (autocomplete: false) payment
+async function completePayment(sq, paymentId, versionToken) {
+  try {
+    const resp = await sq.paymentsApi.completePayment(paymentId, { versionToken });
+    return resp.result.payment;
+  } catch (e) {
+    throw paymentErr(e);
+  }
+}
+
+// Void a delayed payment before it is completed
+async function cancelPayment(sq, paymentId) {
+  try {
+    const resp = await sq.paymentsApi.cancelPayment(paymentId);
+    return resp.result.payment;
+  } catch (e) {
+    throw paymentErr(e);
+  }
+}
+
+module.exports = { idempotencyKeyFrom, paymentErr, chargeOrder, completePayment, cancelPayment };
@@ -0,0 +1,346 @@
+const { v4: uuidv4 } = require('uuid');
+const { readJson, writeJson } = require('./json_file');
+const { httpError } = require('./errors');
+const { applyToLineItems } = require('./discounts');
+
+// ─────────────────────────────────────────────────────────────
+// Promo codes (persisted in DATA_DIR/promo_codes.json)
+// code -> {
+//   code, name, type: 'PERCENT'|'FIXED', value,   PERCENT: 10 = 10% ; FIXED: minor units
+//   startsAt?, endsAt?                            ISO 8601
+//   maxRedemptions?                               global cap (paid orders + pending applications)
+//   maxRedemptionsPerCustomer?                    needs a customer on the order
+//   minSubtotal?                                  minor units, eligible items before discounts
+//   maxDiscount?                                  minor units, caps PERCENT discounts
+//   catalogObjectIds?, categoryIds?               restrict to these items/variations/categories
+//   stackable?                                    false = can't be combined with other promo codes
+//   active, createdAt, updatedAt
+// }
+// Applications (code put on an order) become redemptions once the order is paid:
+//   { code, orderId, discountUid, customerId, appliedAt, redeemedAt?, paymentId?, discountAmount?, currency? }
+// Unpaid applications count toward the caps for PROMO_HOLD_MINUTES (default 60) after they
+// were applied, so a limited code can't sit on more carts than it has uses left.
+// ─────────────────────────────────────────────────────────────
+const FILE = 'promo_codes.json';
+
+const SEED = {
+  WELCOME10: { code: 'WELCOME10', type: 'PERCENT', value: 10, name: 'Welcome 10%', active: true }
+};
+
+let db = null;
+
+function load() {
+  if (!db) db = readJson(FILE, null) || { codes: { ...SEED }, applications: [] };
+  return db;
+}
+
+function save() {
+  writeJson(FILE, load());
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function getPromo(code) {
+  return load().codes[normalizeCode(code)] || null;
+}
+
+// Helper: validate admin input; returns an error message or null
+function validatePromoInput(p) {
+  if (!p.code || !['PERCENT', 'FIXED'].includes(p.type) || typeof p.value !== 'number') {
+    return 'code, type(PERCENT|FIXED), value required';
+  }
+  if (p.value <= 0 || (p.type === 'PERCENT' && p.value > 100)) return 'value must be > 0 (and <= 100 for PERCENT)';
+  for (const f of ['maxRedemptions', 'maxRedemptionsPerCustomer', 'minSubtotal', 'maxDiscount']) {
+    if (p[f] != null && !(Number.isInteger(p[f]) && p[f] >= 0)) return `${f} must be a non-negative integer`;
+  }
+  for (const f of ['startsAt', 'endsAt']) {
+    if (p[f] != null && Number.isNaN(Date.parse(p[f]))) return `${f} must be an ISO 8601 date`;
+  }
+  if (p.stackable != null && typeof p.stackable !== 'boolean') return 'stackable must be a boolean';
+  if (p.startsAt && p.endsAt && Date.parse(p.startsAt) >= Date.parse(p.endsAt)) return 'startsAt must be before endsAt';
+  for (const f of ['catalogObjectIds', 'categoryIds']) {
+    if (p[f] != null && !(Array.isArray(p[f]) && p[f].every(id => typeof id === 'string'))) return `${f} must be an array of ids`;
+  }
+  return null;
+}
+
+const PROMO_FIELDS = [
+  'name', 'type', 'value', 'startsAt', 'endsAt', 'maxRedemptions', 'maxRedemptionsPerCustomer',
+  'minSubtotal', 'maxDiscount', 'catalogObjectIds', 'categoryIds', 'stackable', 'active'
+];
+
+// Create, or replace every field of an existing code (createdAt is kept)
+function upsertPromo(input) {
+  const code = normalizeCode(input.code);
+  const prev = getPromo(code);
+  const promo = { active: true, code, name: input.name || code };
+  for (const f of PROMO_FIELDS) if (input[f] !== undefined && f !== 'name') promo[f] = input[f];
+  const now = new Date().toISOString();
+  promo.createdAt = prev?.createdAt || now;
+  promo.updatedAt = now;
+
+  load().codes[code] = promo;
+  save();
+  return promo;
+}
+
+// Partial update; the merged promo is validated as a whole
+function patchPromo(code, patch) {
+  const prev = getPromo(code);
+  if (!prev) return null;
+  const merged = { ...prev, ...patch, code: prev.code };
+  const invalid = validatePromoInput(merged);
+  if (invalid) throw httpError(400, invalid);
+  return upsertPromo(merged);
+}
+
+function deletePromo(code) {
+  const d = load();
+  const key = normalizeCode(code);
+  if (!d.codes[key]) return false;
+  delete d.codes[key];
+  save();
+  return true;
+}
+
+// Filters: active ('true'|'false'), type, q (code/name contains). cursor = offset.
+function listPromos({ active, type, q, limit = 50, cursor } = {}) {
+  const needle = q ? String(q).toUpperCase() : null;
+  const all = Object.values(load().codes)
+    .filter(p => active === undefined || String(p.active !== false) === String(active))
+    .filter(p => !type || p.type === type)
+    .filter(p => !needle || p.code.includes(needle) || String(p.name || '').toUpperCase().includes(needle))
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  const start = Number(cursor) || 0;
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const page = all.slice(start, start + size);
+  return { promoCodes: page, cursor: start + size < all.length ? String(start + size) : undefined };
+}
+
+function redemptions(code, customerId) {
+  return load().applications.filter(a =>
+    a.redeemedAt && a.code === code && (customerId === undefined || a.customerId === customerId));
+}
+
+function holdMs() {
+  return Number(process.env.PROMO_HOLD_MINUTES ?? 60) * 60 * 1000;
+}
+
+// Redemptions plus unexpired pending applications (what the caps are checked against)
+function uses(code, customerId) {
+  const cutoff = Date.now() - holdMs();
+  return load().applications.filter(a =>
+    a.code === code
+    && (a.redeemedAt || Date.parse(a.appliedAt) > cutoff)
+    && (customerId === undefined || a.customerId === customerId));
+}
+
+// Per-code report: how often it was redeemed, total discount given (per currency), which orders
+function redemptionReport(code) {
+  const key = normalizeCode(code);
+  const used = redemptions(key);
+  const totals = {};
+  for (const r of used) totals[r.currency] = (totals[r.currency] || 0) + (r.discountAmount || 0);
+
+  return {
+    code: key,
+    count: used.length,
+    totalDiscount: Object.entries(totals).map(([currency, amount]) => ({ amount, currency })),
+    pending: load().applications.filter(a => a.code === key && !a.redeemedAt).length,
+    orders: used.map(({ orderId, paymentId, customerId, discountAmount, currency, redeemedAt }) =>
+      ({ orderId, paymentId, customerId, discountAmount, currency, redeemedAt }))
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Rules
+// ─────────────────────────────────────────────────────────────
+function reject(reason, details) {
+  return httpError(422, details, { reason });
+}
+
+function lineGross(li) {
+  if (li.grossSalesMoney?.amount != null) return BigInt(li.grossSalesMoney.amount);
+  const base = BigInt(li.basePriceMoney?.amount ?? 0);
+  return base * BigInt(Math.round(Number(li.quantity || '1')));
+}
+
+// Line items the promo applies to (all of them when unrestricted)
+async function eligibleLineItems(sq, order, promo) {
+  const lineItems = order.lineItems || [];
+  const restricted = promo.catalogObjectIds?.length || promo.categoryIds?.length;
+  if (!restricted) return lineItems;
+
+  const variationIds = [...new Set(lineItems.map(li => li.catalogObjectId).filter(Boolean))];
+  if (!variationIds.length) return [];
+
+  // variation -> item -> categories
+  const resp = await sq.catalogApi.batchRetrieveCatalogObjects({ objectIds: variationIds, includeRelatedObjects: true });
+  const items = new Map((resp.result.relatedObjects || []).filter(o => o.type === 'ITEM').map(o => [o.id, o]));
+  const itemOf = new Map((resp.result.objects || []).map(v => [v.id, items.get(v.itemVariationData?.itemId)]));
+
+  const ids = new Set(promo.catalogObjectIds || []);
+  const cats = new Set(promo.categoryIds || []);
+  return lineItems.filter(li => {
+    const item = itemOf.get(li.catalogObjectId);
+    const itemCats = [item?.itemData?.categoryId, ...(item?.itemData?.categories || []).map(c => c.id)];
+    return ids.has(li.catalogObjectId) || (item && ids.has(item.id)) || itemCats.some(c => c && cats.has(c));
+  });
+}
+
+// Check every rule for `code` against the cart and build the Square discount.
+// Returns { promo, discount, lineItems } where lineItems is the LINE_ITEM-scope
+// patch (appliedDiscounts) or [] for an ORDER-scoped discount.
+// Throws httpError 404 / 422 { reason } when the code can't be used.
+async function buildPromoDiscount(sq, order, code, { customerId } = {}) {
+  const promo = getPromo(code);
+  if (!promo) throw httpError(404, 'Invalid promo code', { reason: 'PROMO_NOT_FOUND' });
+  if (promo.active === false) throw reject('PROMO_DISABLED', 'Promo code is no longer active');
+
+  // One of each code per cart, and non-stackable codes stand alone
+  const onOrder = appliedPromos(order);
+  if (onOrder.some(a => a.code === promo.code)) {
+    throw httpError(409, 'Promo code is already applied to this cart', { reason: 'PROMO_ALREADY_APPLIED' });
+  }
+  if (onOrder.length && promo.stackable === false) {
+    throw reject('PROMO_NOT_STACKABLE', 'Promo code cannot be combined with other promo codes');
+  }
+  const blocker = onOrder.map(a => getPromo(a.code)).find(p => p?.stackable === false);
+  if (blocker) {
+    throw reject('PROMO_NOT_STACKABLE', `Promo code ${blocker.code} cannot be combined with other promo codes`);
+  }
+
+  const now = Date.now();
+  if (promo.startsAt && Date.parse(promo.startsAt) > now) throw reject('PROMO_NOT_STARTED', `Promo code starts at ${promo.startsAt}`);
+  if (promo.endsAt && Date.parse(promo.endsAt) <= now) throw reject('PROMO_EXPIRED', 'Promo code has expired');
+
+  if (promo.maxRedemptions != null && uses(promo.code).length >= promo.maxRedemptions) {
+    throw reject('PROMO_EXHAUSTED', 'Promo code has reached its redemption limit');
+  }
+  if (promo.maxRedemptionsPerCustomer != null) {
+    if (!customerId) throw reject('PROMO_CUSTOMER_REQUIRED', 'Promo code requires a customer on the cart');
+    if (uses(promo.code, customerId).length >= promo.maxRedemptionsPerCustomer) {
+      throw reject('PROMO_CUSTOMER_LIMIT', 'Promo code already used the maximum times by this customer');
+    }
+  }
+
+  const eligible = await eligibleLineItems(sq, order, promo);
+  if (!eligible.length) throw reject('PROMO_NOT_APPLICABLE', 'No items in the cart qualify for this promo code');
+
+  const subtotal = eligible.reduce((sum, li) => sum + lineGross(li), 0n);
+  if (promo.minSubtotal != null && subtotal < BigInt(promo.minSubtotal)) {
+    throw reject('PROMO_MIN_SUBTOTAL', `Cart subtotal must be at least ${promo.minSubtotal} for this promo code`);
+  }
+
+  const currency = order.totalMoney?.currency || 'USD';
+  const restricted = eligible.length !== (order.lineItems || []).length;
+  const uid = uuidv4();
+  const name = promo.name || promo.code;
+
+  // Amount we'd give, so caps can be enforced up front
+  let amount = promo.type === 'PERCENT'
+    ? (subtotal * BigInt(Math.round(promo.value * 100))) / 10000n
+    : BigInt(promo.value);
+  const capped = promo.maxDiscount != null && amount > BigInt(promo.maxDiscount);
+  if (capped) amount = BigInt(promo.maxDiscount);
+  if (amount > subtotal) amount = subtotal;
+
+  // Uncapped percentage on specific items: let Square apply it per line item.
+  if (promo.type === 'PERCENT' && !capped && restricted) {
+    return {
+      promo,
+      discount: { uid, name, percentage: String(promo.value), scope: 'LINE_ITEM' },
+      lineItems: applyToLineItems(eligible, uid)
+    };
+  }
+  if (promo.type === 'PERCENT' && !capped) {
+    return { promo, discount: { uid, name, percentage: String(promo.value), scope: 'ORDER' }, lineItems: [] };
+  }
+  // FIXED or capped PERCENT: a fixed order-level amount worked out from the eligible subtotal
+  return { promo, discount: { uid, name, amountMoney: { amount, currency }, scope: 'ORDER' }, lineItems: [] };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Applications & redemptions
+// ─────────────────────────────────────────────────────────────
+
+// Unpaid applications whose discount is still on the order
+function appliedPromos(order) {
+  const uids = new Set((order.discounts || []).map(d => d.uid));
+  return load().applications.filter(a => a.orderId === order.id && !a.redeemedAt && uids.has(a.discountUid));
+}
+
+// Discount removed from the cart: forget the pending application
+function releaseApplication(orderId, discountUid) {
+  const d = load();
+  const before = d.applications.length;
+  d.applications = d.applications.filter(a => !(a.orderId === orderId && a.discountUid === discountUid && !a.redeemedAt));
+  if (d.applications.length !== before) save();
+}
+// Cart merged: unpaid applications of the moved discounts follow them to the other order
+function moveApplications(fromOrderId, toOrderId, discountUids) {
+  const moved = load().applications.filter(a =>
+    a.orderId === fromOrderId && !a.redeemedAt && discountUids.includes(a.discountUid));
+  for (const a of moved) a.orderId = toOrderId;
+  if (moved.length) save();
+  return moved;
+}
+function recordApplication({ code, orderId, discountUid, customerId }) {
+  load().applications.push({
+    code: normalizeCode(code),
+    orderId,
+    discountUid,
+    customerId: customerId || null,
+    appliedAt: new Date().toISOString()
+  });
+  save();
+}
+
+// Payment webhook (snake_case payment object): once the order is paid,
+// codes still on it become redemptions; codes removed since are dropped.
+async function redeemForPayment(sq, payment) {
+  if (payment?.status !== 'COMPLETED' || !payment.order_id) return [];
+  const d = load();
+  const pending = d.applications.filter(a => a.orderId === payment.order_id && !a.redeemedAt);
+  if (!pending.length) return [];
+
+  const order = (await sq.ordersApi.retrieveOrder(payment.order_id)).result.order;
+  const redeemed = [];
+  for (const a of pending) {
+    const disc = (order.discounts || []).find(x => x.uid === a.discountUid);
+    if (!disc) {
+      d.applications.splice(d.applications.indexOf(a), 1);
+      continue;
+    }
+    Object.assign(a, {
+      redeemedAt: new Date().toISOString(),
+      paymentId: payment.id,
+      customerId: a.customerId || order.customerId || null,
+      discountAmount: Number(disc.appliedMoney?.amount ?? 0),
+      currency: disc.appliedMoney?.currency || order.totalMoney?.currency
+    });
+    redeemed.push(a);
+  }
+  save();
+  return redeemed;
+}
+
+module.exports = {
+  normalizeCode,
+  getPromo,
+  validatePromoInput,
+  upsertPromo,
+  patchPromo,
+  deletePromo,
+  listPromos,
+  redemptionReport,
+  buildPromoDiscount,
+  appliedPromos,
+  recordApplication,
+  releaseApplication,
+  moveApplications,
+  redeemForPayment
+};
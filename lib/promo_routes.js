@@ -0,0 +1,93 @@
+const express = require('express');
+const promos = require('./promo_codes');
+const { requireAdmin } = require('./admin_auth');
+const { sqErr } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Promo code API, mounted at /api/promo-codes by both servers.
+// Everything except the public lookup needs the admin API key.
+// ─────────────────────────────────────────────────────────────
+const router = express.Router();
+
+// Validate promo code (public, used by the storefront)
+router.get('/:code', (req, res) => {
+  const data = promos.getPromo(req.params.code);
+  if (!data) return res.status(404).json({ error: 'Not found' });
+  res.json(data);
+});
+
+router.use(requireAdmin);
+
+// List (admin)
+// Query: active=true|false, type=PERCENT|FIXED, q=<code or name contains>, limit, cursor
+router.get('/', (req, res) => {
+  const { active, type, q, limit, cursor } = req.query;
+  res.json(promos.listPromos({ active, type, q, limit, cursor }));
+});
+
+// Create or replace (admin); fields left out of a replace are cleared
+// Body: { "code":"WELCOME10", "type":"PERCENT"|"FIXED", "value":10, "name":"Welcome 10%",
+//         "startsAt"?, "endsAt"?, "maxRedemptions"?, "maxRedemptionsPerCustomer"?,
+//         "minSubtotal"?, "maxDiscount"?, "catalogObjectIds"?: [], "categoryIds"?: [], "stackable"?: false }
+// For FIXED, value is amount in minor units (e.g., 500 = $5.00); minSubtotal/maxDiscount too
+router.post('/', (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = promos.validatePromoInput(body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const promo = promos.upsertPromo(body);
+    res.json({ ok: true, code: promo.code });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// Partial update (admin). Body: any promo fields except code; null clears an optional field.
+router.patch('/:code', (req, res) => {
+  try {
+    const { code, ...patch } = req.body || {};
+    const promo = promos.patchPromo(req.params.code, patch);
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    res.json(promo);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// Soft-disable / re-enable (admin). Disabled codes are rejected at checkout but kept for reporting.
+router.post('/:code/disable', (req, res) => {
+  try {
+    const promo = promos.patchPromo(req.params.code, { active: false });
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    res.json(promo);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+router.post('/:code/enable', (req, res) => {
+  try {
+    const promo = promos.patchPromo(req.params.code, { active: true });
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    res.json(promo);
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// Delete (admin). Redemption history stays in the report.
+router.delete('/:code', (req, res) => {
+  try {
+    if (!promos.deletePromo(req.params.code)) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e?.status || 500).json(sqErr(e));
+  }
+});
+
+// Redemption report (admin): count, total discount given, orders
+router.get('/:code/redemptions', (req, res) => {
+  res.json(promos.redemptionReport(req.params.code));
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// ─────────────────────────────────────────────────────────────
+// Redaction: keep seller tokens and secrets out of responses and logs
+// ─────────────────────────────────────────────────────────────
+const SECRET_KEY = /token|secret|authorization|password|api[-_]?key/i;
+// Square access (EAAA...) and refresh (EQAA...) tokens inside free text
+const SQUARE_TOKEN = /\b(EAAA|EQAA)[A-Za-z0-9_-]{8,}/g;
+
+// Helper: mask a token for display ("EAAAxx...abcd")
+function maskToken(token) {
+  if (!token) return null;
+  const s = String(token);
+  return s.length <= 12 ? '***' : s.slice(0, 6) + '...' + s.slice(-4);
+}
+
+// Deep copy with secret-looking fields masked and embedded tokens scrubbed
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return value.replace(SQUARE_TOKEN, maskToken);
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, ...value }, seen);
+  }
+  if (Array.isArray(value)) return value.map(v => redact(v, seen));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY.test(k) && (typeof v === 'string' || typeof v === 'number') ? maskToken(v) : redact(v, seen);
+  }
+  return out;
+}
+
+module.exports = { maskToken, redact };
@@ -0,0 +1,240 @@
+const { readJson, writeJson } = require('./json_file');
+const { httpError } = require('./errors');
+const { paymentErr } = require('./payments');
+const { linksForCart } = require('./payment_links');
+
+// ─────────────────────────────────────────────────────────────
+// Refunds (full, partial, per line item) with app fee reversal.
+// Every refund is recorded in DATA_DIR/refunds.json:
+//   { refundId, orderId, paymentId, amount, appFee, currency, reason, operator,
+//     lineItems?: [{ uid, quantity }], status, createdAt, updatedAt }
+// amount/appFee are minor units. status follows Square (PENDING → COMPLETED | REJECTED | FAILED)
+// via GET /api/refunds/:refundId and the refund.created/refund.updated webhooks.
+// The split across payments is stored per Idempotency-Key before anything is sent, so a
+// retry replays the same refunds instead of recomputing them from the balance left:
+//   requests: { key: { orderId, lineItems?, parts: [{ paymentId, amount, appFee, currency, idempotencyKey }], createdAt } }
+// ─────────────────────────────────────────────────────────────
+const FILE = 'refunds.json';
+const FAILED = ['REJECTED', 'FAILED'];
+
+let db = null;
+
+function load() {
+  if (!db) db = { refunds: [], requests: {}, ...readJson(FILE, null) };
+  return db;
+}
+
+function save() {
+  writeJson(FILE, load());
+}
+
+function listForOrder(orderId) {
+  return load().refunds.filter(r => r.orderId === orderId);
+}
+
+// Helper: refunds that did (or still may) move money
+function live(records) {
+  return records.filter(r => !FAILED.includes(r.status));
+}
+
+// Helper: validate the request body; returns an error message or null
+function validateRefundInput(b = {}) {
+  if (!b.reason || typeof b.reason !== 'string') return 'reason required';
+  if (!b.operator || typeof b.operator !== 'string') return 'operator required (who is issuing the refund)';
+  if (b.amount != null && b.lineItems != null) return 'send amount or lineItems, not both';
+  if (b.amount != null && !(Number.isInteger(b.amount) && b.amount > 0)) return 'amount must be a positive integer (minor units)';
+  if (b.lineItems != null) {
+    if (!Array.isArray(b.lineItems) || !b.lineItems.length) return 'lineItems must be a non-empty array';
+    for (const li of b.lineItems) {
+      if (!li?.uid) return 'lineItems[].uid required';
+      if (li.quantity != null && !(Number(li.quantity) > 0)) return 'lineItems[].quantity must be > 0';
+    }
+  }
+  return null;
+}
+
+// Helper: amount for the requested line items, pro rata from what the buyer actually
+// paid for each line (after discounts, with tax). Refuses to refund a unit twice.
+function lineItemsAmount(orderId, order, requested) {
+  const already = {};
+  for (const r of live(listForOrder(orderId))) {
+    for (const li of r.lineItems || []) already[li.uid] = (already[li.uid] || 0) + Number(li.quantity);
+  }
+
+  let amount = 0n;
+  const lines = [];
+  for (const { uid, quantity } of requested) {
+    const li = (order.lineItems || []).find(x => x.uid === uid);
+    if (!li) throw httpError(404, `line item uid not found: ${uid}`);
+
+    const ordered = Number(li.quantity);
+    const qty = quantity != null ? Number(quantity) : ordered - (already[uid] || 0);
+    if (qty <= 0 || qty + (already[uid] || 0) > ordered) {
+      throw httpError(422, `line item ${uid}: only ${ordered - (already[uid] || 0)} of ${ordered} left to refund`, { reason: 'REFUND_EXCEEDS_QUANTITY' });
+    }
+
+    const paid = BigInt(li.totalMoney?.amount ?? 0);
+    amount += qty === ordered ? paid : (paid * BigInt(Math.round(qty * 1000))) / BigInt(Math.round(ordered * 1000));
+    lines.push({ uid, quantity: String(qty) });
+  }
+  return { amount, lines };
+}
+
+// Helper: completed payments on the order with what is left to refund on each
+async function refundablePayments(sq, order) {
+  const ids = (order.tenders || []).map(t => t.paymentId || t.id).filter(Boolean);
+  const out = [];
+  for (const id of ids) {
+    const p = (await sq.paymentsApi.getPayment(id)).result.payment;
+    if (p.status !== 'COMPLETED') continue;
+    const total = BigInt(p.totalMoney?.amount ?? p.amountMoney.amount);
+    const left = total - BigInt(p.refundedMoney?.amount ?? 0);
+    if (left > 0n) out.push({ payment: p, total, left });
+  }
+  return out;
+}
+
+// Helper: proportional share of the payment's app fee for this part, capped at what is
+// not yet reversed. The refund that empties the payment takes whatever fee is left.
+function appFeeShare(payment, total, left, part) {
+  const fee = BigInt(payment.appFeeMoney?.amount ?? 0);
+  if (fee === 0n) return 0n;
+  const reversed = live(load().refunds)
+    .filter(r => r.paymentId === payment.id)
+    .reduce((s, r) => s + BigInt(r.appFee || 0), 0n);
+  const unreversed = fee > reversed ? fee - reversed : 0n;
+  if (part === left) return unreversed;
+  const share = (fee * part) / total;
+  return share < unreversed ? share : unreversed;
+}
+
+// Helper: the order that holds the payments. A cart paid through a payment link has
+// none itself; the link's clone (same line item uids) was paid instead.
+async function paidOrder(sq, orderId) {
+  const order = (await sq.ordersApi.retrieveOrder(orderId)).result.order;
+  if (order.tenders?.length) return order;
+  for (const link of linksForCart(orderId)) {
+    const linkOrder = (await sq.ordersApi.retrieveOrder(link.linkOrderId)).result.order;
+    if (linkOrder.tenders?.length) return linkOrder;
+  }
+  return order;
+}
+
+// Helper: what to refund on which payment, worked out from the balance left
+async function planRefund(sq, orderId, opts) {
+  const order = await paidOrder(sq, orderId);
+  const payments = await refundablePayments(sq, order);
+  const balance = payments.reduce((s, p) => s + p.left, 0n);
+  if (balance === 0n) throw httpError(409, 'Nothing left to refund on this order', { reason: 'NOTHING_TO_REFUND' });
+
+  let amount = balance;
+  let lines;
+  if (opts.lineItems) ({ amount, lines } = lineItemsAmount(orderId, order, opts.lineItems));
+  else if (opts.amount != null) amount = BigInt(opts.amount);
+  if (amount > balance) {
+    throw httpError(422, `Refund exceeds the refundable balance (${balance})`, { reason: 'REFUND_EXCEEDS_BALANCE', refundable: Number(balance) });
+  }
+
+  const parts = [];
+  let remaining = amount;
+  for (const [i, { payment, total, left }] of payments.entries()) {
+    if (remaining === 0n) break;
+    const part = remaining < left ? remaining : left;
+    parts.push({
+      paymentId: payment.id,
+      amount: Number(part),
+      appFee: Number(appFeeShare(payment, total, left, part)),
+      currency: payment.amountMoney.currency,
+      // one key per payment so a retried request maps onto the same refunds
+      idempotencyKey: i === 0 ? opts.idempotencyKey : `${opts.idempotencyKey.slice(0, 40)}-${i}`
+    });
+    remaining -= part;
+  }
+  return { orderId, lineItems: lines, parts, createdAt: new Date().toISOString() };
+}
+
+// Refund an order.
+// opts: { amount?, lineItems?: [{ uid, quantity? }], reason, operator, idempotencyKey }
+// Neither amount nor lineItems = refund everything still refundable.
+// Orders paid with several payments are refunded across them in tender order.
+// A retry with the same idempotencyKey returns the same refunds (409 IDEMPOTENCY_KEY_REUSED
+// when the key was used for another order).
+async function refundOrder(sq, orderId, opts) {
+  let plan = load().requests[opts.idempotencyKey];
+  if (plan && plan.orderId !== orderId) {
+    throw httpError(409, 'Idempotency-Key was already used for another order', { reason: 'IDEMPOTENCY_KEY_REUSED' });
+  }
+  if (!plan) {
+    plan = await planRefund(sq, orderId, opts);
+    load().requests[opts.idempotencyKey] = plan;
+    save();
+  }
+
+  const records = [];
+  for (const { paymentId, amount, appFee, currency, idempotencyKey } of plan.parts) {
+    let refund;
+    try {
+      const resp = await sq.refundsApi.refundPayment({
+        idempotencyKey,
+        paymentId,
+        amountMoney: { amount: BigInt(amount), currency },
+        appFeeMoney: appFee > 0 ? { amount: BigInt(appFee), currency } : undefined,
+        reason: opts.reason
+      });
+      refund = resp.result.refund;
+    } catch (e) {
+      // parts refunded before the failure are still recorded
+      if (records.length) save();
+      throw paymentErr(e);
+    }
+
+    const now = new Date().toISOString();
+    const rec = {
+      refundId: refund.id,
+      orderId,
+      paymentId,
+      amount,
+      appFee,
+      currency,
+      reason: opts.reason,
+      operator: opts.operator,
+      lineItems: plan.lineItems,
+      status: refund.status,
+      createdAt: now,
+      updatedAt: now
+    };
+    // a retried idempotency key returns the same refund; don't record it twice
+    const d = load();
+    const existing = d.refunds.find(r => r.refundId === refund.id);
+    if (existing) records.push(existing);
+    else {
+      d.refunds.push(rec);
+      records.push(rec);
+    }
+  }
+  save();
+  return records;
+}
+
+// Refund webhook (snake_case) or API (camelCase) object → update our record
+function recordStatus(refund) {
+  if (!refund?.id) return null;
+  const rec = load().refunds.find(r => r.refundId === refund.id);
+  if (!rec || rec.status === refund.status) return rec || null;
+  rec.status = refund.status;
+  rec.updatedAt = new Date().toISOString();
+  save();
+  return rec;
+}
+
+// Fetch the refund from Square and sync the recorded status
+async function getRefund(sq, refundId) {
+  try {
+    const refund = (await sq.refundsApi.getPaymentRefund(refundId)).result.refund;
+    return { refund, record: recordStatus(refund) };
+  } catch (e) {
+    throw paymentErr(e);
+  }
+}
+
+module.exports = { validateRefundInput, refundOrder, listForOrder, recordStatus, getRefund };
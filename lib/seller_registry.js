@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { newSquareClient } = require('./square_client');
+const { createCredentialStore } = require('./credential_store');
+
+// ─────────────────────────────────────────────────────────────
+// Connected seller registry (keyed by Square merchant id)
+// merchantId -> { merchantId, accessToken, refreshToken, expiresAt, locationId,
+//                 status: 'connected'|'disconnected', disconnectReason?, connectedAt, refreshedAt?,
+//                 apiKeyHash?, apiKeyIssuedAt? }
+// Seller-scoped requests prove they act for the seller with its API key (x-seller-key);
+// only a SHA-256 hash of the key is stored.
+// Backed by the encrypted credential store; the Map is a read-through cache.
+// ─────────────────────────────────────────────────────────────
+const sellers = new Map();
+let store = null;
+
+// merchantId -> { accessToken, client }  (rebuilt when the token changes)
+const clients = new Map();
+
+// Build a *seller-scoped* client using the seller's OAuth token.
+// IMPORTANT: To collect app_fee_money, you MUST charge on behalf of the seller.
+function buildSellerClient(accessToken) {
+  if (!accessToken) throw new Error('Connected seller access token missing. Connect the seller via /oauth/authorize.');
+  return newSquareClient(accessToken);
+}
+
+// Load persisted sellers (lazily, so a server that never touches sellers needs no key)
+function reload() {
+  store = store || createCredentialStore();
+  for (const s of store.list()) sellers.set(s.merchantId, s);
+}
+
+function persist(seller) {
+  if (!store) reload();
+  store.put(seller);
+}
+
+function upsertSeller(creds) {
+  if (!creds?.merchantId) throw new Error('merchantId required to register a seller');
+  const prev = sellers.get(creds.merchantId);
+  const seller = {
+    status: 'connected',
+    ...prev,
+    ...creds,
+    connectedAt: prev?.connectedAt || new Date().toISOString()
+  };
+  persist(seller);
+  sellers.set(seller.merchantId, seller);
+  return seller;
+}
+
+function getSeller(merchantId) {
+  // Miss: the seller may have been connected by another process since we loaded
+  if (!store || !sellers.has(merchantId)) reload();
+  return sellers.get(merchantId) || null;
+}
+
+function listSellers() {
+  reload();
+  return [...sellers.values()];
+}
+
+// Seller revoked access (or the refresh token stopped working): keep the
+// record so the dashboard can prompt a reconnect, but stop using its token.
+function markDisconnected(merchantId, reason) {
+  const seller = getSeller(merchantId);
+  if (!seller) return null;
+  clients.delete(merchantId);
+  seller.status = 'disconnected';
+  seller.disconnectReason = reason;
+  seller.disconnectedAt = new Date().toISOString();
+  persist(seller);
+  return seller;
+}
+
+function removeSeller(merchantId) {
+  if (!store) reload();
+  store.remove(merchantId);
+  clients.delete(merchantId);
+  return sellers.delete(merchantId);
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+// New API key for the seller (replaces the old one). Returned once, never stored in clear.
+function issueApiKey(merchantId) {
+  const seller = getSeller(merchantId);
+  if (!seller) return null;
+  const apiKey = `sk_${crypto.randomBytes(32).toString('hex')}`;
+  seller.apiKeyHash = hashApiKey(apiKey);
+  seller.apiKeyIssuedAt = new Date().toISOString();
+  persist(seller);
+  return apiKey;
+}
+
+function verifyApiKey(merchantId, apiKey) {
+  const seller = getSeller(merchantId);
+  if (!seller?.apiKeyHash || !apiKey) return false;
+  const a = Buffer.from(hashApiKey(apiKey));
+  const b = Buffer.from(seller.apiKeyHash);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Cached seller client; a new one is built only after the token changes
+function clientFor(merchantId) {
+  const seller = getSeller(merchantId);
+  if (!seller) throw new Error(`Seller ${merchantId} is not connected`);
+
+  const cached = clients.get(merchantId);
+  if (cached && cached.accessToken === seller.accessToken) return cached.client;
+
+  const client = buildSellerClient(seller.accessToken);
+  clients.set(merchantId, { accessToken: seller.accessToken, client });
+  return client;
+}
+
+module.exports = {
+  buildSellerClient,
+  upsertSeller,
+  getSeller,
+  listSellers,
+  markDisconnected,
+  removeSeller,
+  issueApiKey,
+  verifyApiKey,
+  clientFor
+};
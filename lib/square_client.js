@@ -0,0 +1,25 @@
+const { Client, Environment } = require('square');
+
+// ─────────────────────────────────────────────────────────────
+// Square SDK client factory (shared by both servers)
+// SQUARE_BASE_URL points every client at a custom host, e.g. a local
+// stub of the Square API for testing the OAuth flow end to end.
+// ─────────────────────────────────────────────────────────────
+function squareBaseUrl() {
+  if (process.env.SQUARE_BASE_URL) return process.env.SQUARE_BASE_URL.replace(/\/+$/, '');
+  return process.env.SQUARE_ENV === 'production'
+    ? 'https://connect.squareup.com'
+    : 'https://connect.squareupsandbox.com';
+}
+
+function newSquareClient(accessToken) {
+  if (process.env.SQUARE_BASE_URL) {
+    return new Client({ environment: Environment.Custom, customUrl: squareBaseUrl(), accessToken });
+  }
+  return new Client({
+    environment: process.env.SQUARE_ENV === 'production' ? Environment.Production : Environment.Sandbox,
+    accessToken
+  });
+}
+
+module.exports = { squareBaseUrl, newSquareClient };
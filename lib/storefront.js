@@ -0,0 +1,194 @@
+const catalogCache = require('./catalog_cache');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Storefront product list, served from the catalog mirror (lib/catalog_cache.js).
+// Query params follow SearchCatalogItems' filters, but they are applied to the mirror here
+// rather than sent to Square: a SearchCatalogItems call per request is what the mirror is
+// there to avoid, and it has no price range, exact SKU, or price/updated sort.
+//   q                   text filter: every word must appear in the name, description,
+//                       variation names or SKUs
+//   categoryId          comma-separated category ids
+//   minPrice, maxPrice  minor units; some variation must be in range
+//   sku                 exact SKU (case-insensitive)
+//   locationId          only items enabled at that location (enabled location ids)
+//   stock               in | out, IN_STOCK at the location (stock levels)
+//   sort                name | price | updated, "-" prefix for descending (default name)
+//   cursor, limit       (limit default 100, max 1000)
+// Stock is read at locationId, or the account's default location, from the stock cache next
+// to the mirror. Untracked variations are always in stock.
+// Products come back as compact DTOs (amounts as strings, minor units):
+//   { id, name, description, categoryIds, imageUrl, updatedAt, inStock,
+//     price: { min, max, currency } | null,
+//     variations: [{ id, name, sku, price: { amount, currency } | null, inStock }] }
+// inStock is null when no location is known or inventory could not be read.
+// ─────────────────────────────────────────────────────────────
+const SORTS = ['name', 'price', 'updated'];
+const MAX_LIMIT = 1000;
+
+// Helper: query params -> filters (400 on bad values)
+function parseQuery(query = {}) {
+  const price = p => {
+    if (p == null || p === '') return null;
+    if (!/^\d+$/.test(String(p))) throw httpError(400, 'minPrice and maxPrice must be non-negative integers (minor units)');
+    return Number(p);
+  };
+  const sort = String(query.sort || 'name');
+  if (!SORTS.includes(sort.replace(/^-/, ''))) throw httpError(400, `sort must be one of ${SORTS.join(', ')} (prefix - for descending)`);
+  if (query.stock != null && !['in', 'out'].includes(query.stock)) throw httpError(400, 'stock must be in or out');
+  const offset = query.cursor ? Number(query.cursor) : 0;
+  if (!Number.isInteger(offset) || offset < 0) throw httpError(400, 'invalid cursor');
+
+  return {
+    terms: String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+    categoryIds: query.categoryId ? String(query.categoryId).split(',').filter(Boolean) : [],
+    minPrice: price(query.minPrice),
+    maxPrice: price(query.maxPrice),
+    sku: query.sku ? String(query.sku).trim().toLowerCase() : null,
+    locationId: query.locationId || null,
+    stock: query.stock || null,
+    sortBy: sort.replace(/^-/, ''),
+    descending: sort.startsWith('-'),
+    offset,
+    limit: Math.min(Number(query.limit) || 100, MAX_LIMIT)
+  };
+}
+
+function categoryIdsOf(item) {
+  const d = item.itemData || {};
+  return [...new Set([d.categoryId, d.reportingCategory?.id, ...(d.categories || []).map(c => c.id)].filter(Boolean))];
+}
+
+// Helper: is a catalog object sold at the location?
+function enabledAt(object, locationId) {
+  if (object.presentAtAllLocations === false) return (object.presentAtLocationIds || []).includes(locationId);
+  return !(object.absentAtLocationIds || []).includes(locationId);
+}
+
+function amountOf(variation) {
+  const amount = variation.itemVariationData?.priceMoney?.amount;
+  return amount == null ? null : Number(amount);
+}
+
+// Helper: does an item match the filters?
+function matches(item, f) {
+  const d = item.itemData || {};
+  const variations = d.variations || [];
+  if (f.terms.length) {
+    const text = [d.name, d.description, ...variations.flatMap(v => [v.itemVariationData?.name, v.itemVariationData?.sku])]
+      .filter(Boolean).join(' ').toLowerCase();
+    if (!f.terms.every(t => text.includes(t))) return false;
+  }
+  if (f.categoryIds.length && !categoryIdsOf(item).some(id => f.categoryIds.includes(id))) return false;
+  if (f.minPrice != null || f.maxPrice != null) {
+    const inRange = variations.some(v => {
+      const amount = amountOf(v);
+      return amount != null && (f.minPrice == null || amount >= f.minPrice) && (f.maxPrice == null || amount <= f.maxPrice);
+    });
+    if (!inRange) return false;
+  }
+  if (f.sku && !variations.some(v => v.itemVariationData?.sku?.toLowerCase() === f.sku)) return false;
+  if (f.locationId && !enabledAt(item, f.locationId)) return false;
+  return true;
+}
+
+// Helper: variationId -> in stock? (untracked = true); null when unknown
+async function stockFor(sq, account, items, locationId) {
+  if (!locationId) return null;
+  const levels = await catalogCache.stockLevelsFor(sq, account, items.flatMap(i => i.itemData?.variations || []), locationId);
+  return new Map([...levels].map(([id, qty]) => [id, qty == null || qty > 0]));
+}
+
+function itemInStock(item, stock) {
+  if (!stock) return null;
+  return (item.itemData?.variations || []).some(v => stock.get(v.id));
+}
+
+function compare(f) {
+  const minPrice = item => {
+    const amounts = (item.itemData?.variations || []).map(amountOf).filter(a => a != null);
+    return amounts.length ? Math.min(...amounts) : null;
+  };
+  const key = {
+    name: item => (item.itemData?.name || '').toLowerCase(),
+    price: minPrice,
+    updated: item => item.updatedAt || ''
+  }[f.sortBy];
+  return (a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    if (ka == null || kb == null) return (ka == null) - (kb == null); // unpriced last either way
+    const order = typeof ka === 'number' ? ka - kb : ka.localeCompare(kb);
+    return f.descending ? -order : order;
+  };
+}
+
+function money(amount, currency) {
+  return amount == null ? null : { amount: String(amount), currency };
+}
+
+// Compact product DTO from a mirrored ITEM
+function toProduct(item, objects, stock) {
+  const d = item.itemData || {};
+  const variations = (d.variations || []).map(v => {
+    const vd = v.itemVariationData || {};
+    return {
+      id: v.id,
+      name: vd.name || null,
+      sku: vd.sku || null,
+      price: money(vd.priceMoney?.amount, vd.priceMoney?.currency),
+      inStock: stock ? Boolean(stock.get(v.id)) : null
+    };
+  });
+  const priced = variations.filter(v => v.price);
+  const amounts = priced.map(v => Number(v.price.amount));
+  const imageId = d.imageIds?.[0];
+
+  return {
+    id: item.id,
+    name: d.name,
+    description: d.description || null,
+    categoryIds: categoryIdsOf(item),
+    imageUrl: (imageId && objects[imageId]?.imageData?.url) || null,
+    updatedAt: item.updatedAt || null,
+    inStock: itemInStock(item, stock),
+    price: priced.length
+      ? { min: String(Math.min(...amounts)), max: String(Math.max(...amounts)), currency: priced[0].price.currency }
+      : null,
+    variations
+  };
+}
+
+// Products for the storefront. opts.defaultLocationId: where stock is read without ?locationId.
+// Returns { items: [product], cursor }.
+async function listProducts(sq, account, query, { defaultLocationId } = {}) {
+  const f = parseQuery(query);
+  const locationId = f.locationId || defaultLocationId || null;
+  const objects = await catalogCache.objectsFor(sq, account);
+
+  let items = Object.values(objects).filter(o => o.type === 'ITEM' && !o.isDeleted && matches(o, f));
+
+  // The stock filter needs every candidate's counts; otherwise only the page's
+  let stock = null;
+  if (f.stock) {
+    if (!locationId) throw httpError(400, 'locationId required to filter by stock');
+    stock = await stockFor(sq, account, items, locationId);
+    items = items.filter(i => itemInStock(i, stock) === (f.stock === 'in'));
+  }
+
+  items.sort(compare(f));
+  const page = items.slice(f.offset, f.offset + f.limit);
+  if (!stock) {
+    stock = await stockFor(sq, account, page, locationId).catch(e => {
+      console.error('storefront stock lookup failed', e?.message || e);
+      return null;
+    });
+  }
+
+  return {
+    items: page.map(item => toProduct(item, objects, stock)),
+    cursor: f.offset + f.limit < items.length ? String(f.offset + f.limit) : undefined
+  };
+}
+
+module.exports = { listProducts };
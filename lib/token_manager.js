@@ -0,0 +1,163 @@
+const oauth = require('./oauth');
+const sellers = require('./seller_registry');
+const { httpError } = require('./errors');
+
+// ─────────────────────────────────────────────────────────────
+// Seller access-token manager
+// - refreshes proactively when a token is within the refresh window
+// - on ACCESS_TOKEN_EXPIRED / UNAUTHORIZED: refreshes and retries the call once
+// - on ACCESS_TOKEN_REVOKED (or a dead refresh token): marks the seller disconnected
+// Env: SQUARE_TOKEN_REFRESH_WINDOW_HOURS (default 168 = 7 days; Square tokens live 30 days)
+// ─────────────────────────────────────────────────────────────
+const RECONNECT_URL = '/oauth/authorize';
+
+// merchantId -> in-flight refresh promise, so concurrent calls share one refresh
+const refreshing = new Map();
+
+function refreshWindowMs() {
+  return Number(process.env.SQUARE_TOKEN_REFRESH_WINDOW_HOURS || 168) * 60 * 60 * 1000;
+}
+
+// Helper: 'expired' | 'revoked' | null for a Square API error
+function authFailure(e) {
+  const errors = e?.result?.errors || e?.errors || [];
+  const codes = errors.map(x => x.code);
+  if (codes.includes('ACCESS_TOKEN_REVOKED')) return 'revoked';
+  if (codes.includes('ACCESS_TOKEN_EXPIRED') || codes.includes('UNAUTHORIZED')) return 'expired';
+  if (e?.statusCode === 401) return 'expired';
+  return null;
+}
+
+function disconnectedError(merchantId) {
+  const seller = sellers.getSeller(merchantId);
+  return httpError(401, 'Seller is disconnected and must reconnect', {
+    sellerId: merchantId,
+    reason: seller?.disconnectReason,
+    reconnectUrl: RECONNECT_URL
+  });
+}
+
+function needsRefresh(seller) {
+  if (!seller.expiresAt) return false;
+  return new Date(seller.expiresAt).getTime() - Date.now() < refreshWindowMs();
+}
+
+async function refresh(merchantId) {
+  if (refreshing.has(merchantId)) return refreshing.get(merchantId);
+
+  const p = (async () => {
+    const seller = sellers.getSeller(merchantId);
+    if (!seller?.refreshToken) {
+      sellers.markDisconnected(merchantId, 'NO_REFRESH_TOKEN');
+      throw disconnectedError(merchantId);
+    }
+    try {
+      const creds = await oauth.refreshAccessToken(seller.refreshToken);
+      return sellers.upsertSeller({
+        merchantId,
+        accessToken: creds.accessToken,
+        refreshToken: creds.refreshToken,
+        expiresAt: creds.expiresAt,
+        refreshedAt: new Date().toISOString()
+      });
+    } catch (e) {
+      // 4xx from the token endpoint: refresh token revoked or invalid
+      if (e?.statusCode >= 400 && e?.statusCode < 500) {
+        sellers.markDisconnected(merchantId, 'REFRESH_FAILED');
+        throw disconnectedError(merchantId);
+      }
+      throw e;
+    }
+  })().finally(() => refreshing.delete(merchantId));
+
+  refreshing.set(merchantId, p);
+  return p;
+}
+
+async function ensureFresh(merchantId) {
+  const seller = sellers.getSeller(merchantId);
+  if (!seller) throw httpError(404, `Seller ${merchantId} is not connected`, { reconnectUrl: RECONNECT_URL });
+  if (seller.status === 'disconnected') throw disconnectedError(merchantId);
+  if (needsRefresh(seller)) await refresh(merchantId);
+}
+
+async function call(merchantId, apiName, method, args) {
+  await ensureFresh(merchantId);
+  const invoke = () => {
+    const api = sellers.clientFor(merchantId)[apiName];
+    return api[method](...args);
+  };
+
+  try {
+    return await invoke();
+  } catch (e) {
+    const failure = authFailure(e);
+    if (failure === 'revoked') {
+      sellers.markDisconnected(merchantId, 'ACCESS_TOKEN_REVOKED');
+      throw disconnectedError(merchantId);
+    }
+    if (failure !== 'expired') throw e;
+  }
+
+  // Expired (or rejected) token: refresh, then retry exactly once
+  await refresh(merchantId);
+  try {
+    return await invoke();
+  } catch (e) {
+    const failure = authFailure(e);
+    if (failure) {
+      sellers.markDisconnected(merchantId, failure === 'revoked' ? 'ACCESS_TOKEN_REVOKED' : 'UNAUTHORIZED');
+      throw disconnectedError(merchantId);
+    }
+    throw e;
+  }
+}
+
+// Seller client with token management: same shape as a Square Client
+// (const { ordersApi } = clientFor(id); ordersApi.retrieveOrder(...)),
+// but every call goes through ensureFresh + retry-once.
+function clientFor(merchantId) {
+  return new Proxy({}, {
+    get(_client, apiName) {
+      if (typeof apiName !== 'string' || apiName === 'then') return undefined; // not thenable
+      return new Proxy({}, {
+        get(_api, method) {
+          if (typeof method !== 'string' || method === 'then') return undefined;
+          return (...args) => call(merchantId, apiName, method, args);
+        }
+      });
+    }
+  });
+}
+
+// Connection status for the dashboard.
+// check=true asks Square (RetrieveTokenStatus) so a revoked token is noticed now.
+async function connectionStatus(merchantId, { check = false } = {}) {
+  const seller = sellers.getSeller(merchantId);
+  if (!seller) return null;
+
+  let tokenStatus;
+  if (check && seller.status !== 'disconnected') {
+    try {
+      tokenStatus = (await clientFor(merchantId).oAuthApi.retrieveTokenStatus()).result;
+    } catch (e) {
+      if (e?.status !== 401) throw e; // disconnected errors are reflected below
+    }
+  }
+
+  const current = sellers.getSeller(merchantId);
+  const connected = current.status !== 'disconnected';
+  return {
+    sellerId: merchantId,
+    status: current.status,
+    needsReconnect: !connected,
+    reason: current.disconnectReason || null,
+    disconnectedAt: current.disconnectedAt || null,
+    expiresAt: current.expiresAt || null,
+    refreshedAt: current.refreshedAt || null,
+    scopes: tokenStatus?.scopes,
+    reconnectUrl: connected ? undefined : RECONNECT_URL
+  };
+}
+
+module.exports = { authFailure, refresh, ensureFresh, clientFor, connectionStatus };
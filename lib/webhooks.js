@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// ─────────────────────────────────────────────────────────────
+// Square webhooks: signature check, event_id dedupe, dispatch
+// Env:
+//   SQUARE_WEBHOOK_SIGNATURE_KEY  (Developer Dashboard → Webhooks → subscription)
+//   SQUARE_WEBHOOK_URL            notification URL exactly as subscribed; the
+//                                 signature covers it, so it must match byte for byte
+// Subscribe to: payment.created, payment.updated, order.updated, refund.created,
+// refund.updated, inventory.count.updated, catalog.version.updated, oauth.authorization.revoked
+// Handlers receive the parsed event as Square sends it (snake_case):
+//   { merchant_id, type, event_id, created_at, data: { type, id, object } }
+// ─────────────────────────────────────────────────────────────
+
+// Square retries failed deliveries for up to 3 days
+const DEDUPE_TTL_MS = 72 * 60 * 60 * 1000;
+
+// type (exact, "refund.*" prefix, or "*") -> [handler]
+const handlers = new Map();
+// event_id -> receivedAt (ms)
+const seen = new Map();
+
+function on(type, handler) {
+  if (!handlers.has(type)) handlers.set(type, []);
+  handlers.get(type).push(handler);
+}
+
+function handlersFor(type) {
+  const out = [];
+  for (const [pattern, list] of handlers) {
+    const match = pattern === '*'
+      || pattern === type
+      || (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1)));
+    if (match) out.push(...list);
+  }
+  return out;
+}
+
+// HMAC-SHA256 over notificationUrl + raw body, base64 (same as the SDK's WebhooksHelper)
+function sign(rawBody, signatureKey, notificationUrl) {
+  return crypto.createHmac('sha256', signatureKey).update(notificationUrl + rawBody).digest('base64');
+}
+
+function verifySignature(rawBody, signature, signatureKey, notificationUrl) {
+  if (!rawBody || !signature || !signatureKey || !notificationUrl) return false;
+  const expected = Buffer.from(sign(rawBody, signatureKey, notificationUrl));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Helper: remember event_id; false if we already processed it
+function markSeen(eventId) {
+  const now = Date.now();
+  for (const [id, at] of seen) if (now - at > DEDUPE_TTL_MS) seen.delete(id);
+  if (seen.has(eventId)) return false;
+  seen.set(eventId, now);
+  return true;
+}
+
+async function dispatch(event) {
+  for (const handler of handlersFor(event.type)) {
+    await handler(event);
+  }
+}
+
+// Express handler for POST /webhooks/square. Needs the raw body, so it brings
+// its own express.raw() parser and must be mounted before express.json().
+function squareWebhookRoute({
+  signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY,
+  notificationUrl = process.env.SQUARE_WEBHOOK_URL
+} = {}) {
+  return [
+    express.raw({ type: '*/*' }),
+    async (req, res) => {
+      const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+      const url = notificationUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+      if (!verifySignature(rawBody, req.get('x-square-hmacsha256-signature'), signatureKey, url)) {
+        return res.status(403).json({ error: 'Invalid webhook signature' });
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid JSON payload' });
+      }
+      if (!event.event_id || !event.type) return res.status(400).json({ error: 'event_id and type required' });
+
+      if (!markSeen(event.event_id)) return res.json({ ok: true, duplicate: true });
+
+      try {
+        await dispatch(event);
+        res.json({ ok: true });
+      } catch (e) {
+        // Forget it so Square's retry gets processed
+        seen.delete(event.event_id);
+        console.error('webhook handler error', event.type, event.event_id, e?.message || e);
+        res.status(500).json({ error: true, details: 'Webhook handler failed' });
+      }
+    }
+  ];
+}
+
+module.exports = { on, dispatch, sign, verifySignature, squareWebhookRoute };
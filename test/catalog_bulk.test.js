@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const catalogBulk = require('../lib/catalog_bulk');
+
+// Helper: a Square client with a fixed catalog that records batch upserts
+function fakeSquare(items) {
+  const upserts = [];
+  return {
+    upserts,
+    catalogApi: {
+      listCatalog: async () => ({ result: { objects: structuredClone(items) } }),
+      batchUpsertCatalogObjects: async (body) => {
+        upserts.push(body);
+        return { result: { idMappings: [] } };
+      }
+    }
+  };
+}
+
+const ITEMS = [{
+  type: 'ITEM',
+  id: 'ITEM_1',
+  itemData: {
+    name: 'Coffee',
+    variations: [
+      { type: 'ITEM_VARIATION', id: 'VAR_SKU', itemVariationData: { name: 'Small', sku: 'COF-S', pricingType: 'FIXED_PRICING', priceMoney: { amount: 300n, currency: 'USD' } } },
+      { type: 'ITEM_VARIATION', id: 'VAR_NOSKU', itemVariationData: { name: 'Large', pricingType: 'FIXED_PRICING', priceMoney: { amount: 450n, currency: 'USD' } } },
+      { type: 'ITEM_VARIATION', id: 'VAR_VARIABLE', itemVariationData: { name: 'Catering', sku: 'COF-CAT', pricingType: 'VARIABLE_PRICING' } }
+    ]
+  }
+}];
+
+test('an export (CSV or JSON) imports back unchanged, without a SKU or with a variable price', async () => {
+  const sq = fakeSquare(ITEMS);
+  const rows = await catalogBulk.exportRows(sq);
+  assert.deepStrictEqual(rows.map(r => [r.variationId, r.sku, r.price]),
+    [['VAR_SKU', 'COF-S', 300], ['VAR_NOSKU', '', 450], ['VAR_VARIABLE', 'COF-CAT', '']]);
+
+  for (const input of [catalogBulk.rowsFromBody({ rows }), catalogBulk.parseCsv(catalogBulk.toCsv(rows))]) {
+    const result = await catalogBulk.importRows(sq, input);
+    assert.deepStrictEqual(result.summary, { created: 0, updated: 0, unchanged: 3, failed: 0 });
+  }
+  assert.strictEqual(sq.upserts.length, 0);
+});
+
+test('rows are matched by variationId, and an empty price makes the variation variable', async () => {
+  const sq = fakeSquare(ITEMS);
+  const result = await catalogBulk.importRows(sq, [
+    { itemName: 'Coffee', variationName: 'Large', sku: '', price: '', variationId: 'VAR_NOSKU' }
+  ]);
+  assert.strictEqual(result.rows[0].status, 'updated');
+  const written = sq.upserts[0].batches[0].objects[0].itemData.variations.find(v => v.id === 'VAR_NOSKU');
+  assert.strictEqual(written.itemVariationData.pricingType, 'VARIABLE_PRICING');
+  assert.strictEqual(written.itemVariationData.priceMoney, undefined);
+});
+
+test('a row without a SKU needs a known variationId', async () => {
+  const sq = fakeSquare(ITEMS);
+  const result = await catalogBulk.importRows(sq, [
+    { itemName: 'Coffee', price: '100' },
+    { itemName: 'Coffee', price: '100', variationId: 'GONE' }
+  ], { dryRun: true });
+  assert.deepStrictEqual(result.rows.map(r => r.status), ['error', 'error']);
+});
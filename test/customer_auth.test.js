@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CUSTOMER_TOKEN_SECRET = 'test-secret';
+process.env.ADMIN_API_KEY = 'admin-key';
+const customerAuth = require('../lib/customer_auth');
+
+// Helper: just enough of an express request
+function req(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()] };
+}
+
+test('a token identifies its customer', () => {
+  const { customerToken } = customerAuth.issueToken('CUST_1');
+  assert.strictEqual(customerAuth.customerFor(req({ 'x-customer-token': customerToken })), 'CUST_1');
+  assert.strictEqual(customerAuth.customerFor(req({ 'x-customer-token': customerToken }), 'CUST_1'), 'CUST_1');
+});
+
+test('guests are nobody, and naming a customer needs a token or the admin key', () => {
+  assert.strictEqual(customerAuth.customerFor(req()), null);
+  assert.throws(() => customerAuth.customerFor(req(), 'CUST_1'), { status: 401, reason: 'CUSTOMER_AUTH_REQUIRED' });
+  assert.strictEqual(customerAuth.customerFor(req({ 'x-admin-key': 'admin-key' }), 'CUST_1'), 'CUST_1');
+});
+
+test('a token for one customer cannot act for another', () => {
+  const { customerToken } = customerAuth.issueToken('CUST_1');
+  assert.throws(() => customerAuth.customerFor(req({ 'x-customer-token': customerToken }), 'CUST_2'),
+    { status: 403, reason: 'CUSTOMER_MISMATCH' });
+});
+
+test('forged, expired and other-seller tokens are rejected', (t) => {
+  const { customerToken } = customerAuth.issueToken('CUST_1', { sellerId: 'SELLER_A' });
+  const forged = customerToken.replace('CUST_1', 'CUST_2');
+  const invalid = { status: 401, reason: 'CUSTOMER_TOKEN_INVALID' };
+
+  assert.throws(() => customerAuth.customerFor(req({ 'x-customer-token': forged }), null, { sellerId: 'SELLER_A' }), invalid);
+  assert.throws(() => customerAuth.customerFor(req({ 'x-customer-token': customerToken })), invalid);
+  assert.throws(() => customerAuth.customerFor(req({ 'x-customer-token': customerToken }), null, { sellerId: 'SELLER_B' }), invalid);
+  assert.strictEqual(customerAuth.customerFor(req({ 'x-customer-token': customerToken }), null, { sellerId: 'SELLER_A' }), 'CUST_1');
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 25 * 3600 * 1000);
+  assert.throws(() => customerAuth.customerFor(req({ 'x-customer-token': customerToken }), null, { sellerId: 'SELLER_A' }), invalid);
+});
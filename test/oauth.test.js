@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const oauth = require('../lib/oauth');
+
+test('consumeState accepts an issued state that matches the cookie, once', () => {
+  const state = oauth.createState();
+  assert.strictEqual(oauth.consumeState(state, state), true);
+  // single use: the callback can't be replayed
+  assert.strictEqual(oauth.consumeState(state, state), false);
+});
+
+test('consumeState rejects a state the browser cookie does not match (CSRF)', () => {
+  const state = oauth.createState();
+  const other = oauth.createState();
+  assert.strictEqual(oauth.consumeState(state, other), false);
+  assert.strictEqual(oauth.consumeState(state, state), false); // a failed attempt burns it too
+  assert.strictEqual(oauth.consumeState(other, undefined), false);
+});
+
+test('consumeState rejects states it never issued', () => {
+  const forged = 'a'.repeat(48);
+  assert.strictEqual(oauth.consumeState(forged, forged), false);
+  assert.strictEqual(oauth.consumeState('', ''), false);
+});
+
+test('consumeState rejects expired states', (t) => {
+  const state = oauth.createState();
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + oauth.STATE_TTL_MS + 1);
+  assert.strictEqual(oauth.consumeState(state, state), false);
+});
+
+test('authorizeUrl carries the state and the configured scopes', (t) => {
+  t.after(() => {
+    delete process.env.SQUARE_APPLICATION_ID;
+    delete process.env.SQUARE_APPLICATION_SECRET;
+    delete process.env.SQUARE_OAUTH_SCOPES;
+  });
+  process.env.SQUARE_APPLICATION_ID = 'sq0idp-test';
+  process.env.SQUARE_APPLICATION_SECRET = 'secret';
+  process.env.SQUARE_OAUTH_SCOPES = 'ORDERS_READ,PAYMENTS_WRITE';
+
+  const url = new URL(oauth.authorizeUrl('state-123'));
+  assert.strictEqual(url.pathname, '/oauth2/authorize');
+  assert.strictEqual(url.searchParams.get('state'), 'state-123');
+  assert.strictEqual(url.searchParams.get('client_id'), 'sq0idp-test');
+  assert.strictEqual(url.searchParams.get('scope'), 'ORDERS_READ PAYMENTS_WRITE');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const webhooks = require('../lib/webhooks');
+
+const KEY = 'test-signature-key';
+const URL_PATH = '/webhooks/square';
+
+// Helper: app with only the webhook route on an ephemeral port
+async function startApp() {
+  const app = express();
+  app.post(URL_PATH, webhooks.squareWebhookRoute({ signatureKey: KEY, notificationUrl: `https://shop.example${URL_PATH}` }));
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  return { server, url: `http://localhost:${server.address().port}${URL_PATH}` };
+}
+
+function post(url, body, signature) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(signature && { 'x-square-hmacsha256-signature': signature }) },
+    body
+  });
+}
+
+test('verifySignature accepts the HMAC of url + body and rejects anything else', () => {
+  const body = '{"event_id":"e1"}';
+  const url = 'https://shop.example/webhooks/square';
+  const signature = webhooks.sign(body, KEY, url);
+
+  assert.strictEqual(webhooks.verifySignature(body, signature, KEY, url), true);
+  assert.strictEqual(webhooks.verifySignature(body + ' ', signature, KEY, url), false);
+  assert.strictEqual(webhooks.verifySignature(body, signature, 'other-key', url), false);
+  assert.strictEqual(webhooks.verifySignature(body, signature, KEY, 'https://other.example/webhooks/square'), false);
+  assert.strictEqual(webhooks.verifySignature(body, undefined, KEY, url), false);
+  assert.strictEqual(webhooks.verifySignature(body, 'short', KEY, url), false);
+});
+
+test('webhook route: bad signatures get 403, duplicates are handled once', async (t) => {
+  const { server, url } = await startApp();
+  t.after(() => server.close());
+
+  const received = [];
+  webhooks.on('test.delivered', (event) => received.push(event.event_id));
+
+  const body = JSON.stringify({ event_id: 'evt-1', type: 'test.delivered', data: {} });
+  const signature = webhooks.sign(body, KEY, `https://shop.example${URL_PATH}`);
+
+  const unsigned = await post(url, body);
+  assert.strictEqual(unsigned.status, 403);
+  const forged = await post(url, body, webhooks.sign(body, 'wrong-key', `https://shop.example${URL_PATH}`));
+  assert.strictEqual(forged.status, 403);
+  assert.deepStrictEqual(received, []);
+
+  const first = await post(url, body, signature);
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(await first.json(), { ok: true });
+
+  const retry = await post(url, body, signature);
+  assert.strictEqual(retry.status, 200);
+  assert.deepStrictEqual(await retry.json(), { ok: true, duplicate: true });
+  assert.deepStrictEqual(received, ['evt-1']);
+});
+
+test('webhook route: a failed handler lets the retry through', async (t) => {
+  const { server, url } = await startApp();
+  t.after(() => server.close());
+
+  let calls = 0;
+  webhooks.on('test.flaky', () => {
+    calls += 1;
+    if (calls === 1) throw new Error('temporary failure');
+  });
+
+  const body = JSON.stringify({ event_id: 'evt-2', type: 'test.flaky', data: {} });
+  const signature = webhooks.sign(body, KEY, `https://shop.example${URL_PATH}`);
+
+  const failed = await post(url, body, signature);
+  assert.strictEqual(failed.status, 500);
+  const retried = await post(url, body, signature);
+  assert.strictEqual(retried.status, 200);
+  assert.strictEqual(calls, 2);
+});